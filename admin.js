@@ -0,0 +1,189 @@
+import { BaseService } from './common/baseService.js';
+import { USER_STATUS } from './common/constants.js';
+
+// 管理后台的状态操作：目标状态、允许的原状态、审计动作
+const STATUS_ACTIONS = {
+  disable: { status: USER_STATUS.DISABLED, from: [USER_STATUS.ACTIVE] },
+  enable: { status: USER_STATUS.ACTIVE, from: [USER_STATUS.DISABLED] },
+  restore: { status: USER_STATUS.ACTIVE, from: [USER_STATUS.DELETED] }
+};
+
+export class Admin extends BaseService {
+  static deps = ['db', 'user', 'subscription?'];
+
+  /**
+   * 初始化管理服务
+   * @param {Object} gl - 全局对象
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl) {
+    // 模拟登录token有效期（分钟）
+    this.impersonateMinutes = parseInt(process.env.IMPERSONATE_MINUTES) || 30;
+    return null;
+  }
+
+  /**
+   * 记录审计日志
+   * @param {Object} params
+   * @param {Object} params.req - 请求（用于记录IP）
+   * @param {number} params.actor - 操作者UID
+   * @param {string} params.action - 操作名称
+   * @param {number} params.target - 目标用户UID
+   * @param {Object} params.meta - 附加信息
+   */
+  async audit({ req, actor, action, target = null, meta = {} }) {
+    const { db, logger } = this.gl;
+    logger.info('审计', { actor, action, target, ...meta });
+    await db.insert('audit_log', {
+      actor_uid: actor,
+      action,
+      target_uid: target,
+      ip: req?.ip || null,
+      meta
+    });
+  }
+
+  /**
+   * 以目标用户身份登录（短期token，token中带 imp 字段标记模拟者）
+   * @param {Object} params
+   * @param {Object} params.req - 请求
+   * @param {Object} params.res - 响应
+   * @param {number} params.adminUid - 管理员UID
+   * @param {number} params.uid - 目标用户UID
+   * @param {string} params.reason - 模拟原因
+   * @returns {Promise<Object>} { uid, expire } 或 { err }
+   */
+  async impersonate({ req, res, adminUid, uid, reason }) {
+    const { user } = this.gl;
+    const target = await user.getUser({ uid });
+    if (!target) {
+      return { err: 'user-not-found' };
+    }
+    // 不能模拟权限比自己大的用户（如客服模拟管理员）
+    const [mine, theirs] = await Promise.all([user.getPermissions(adminUid), user.getPermissions(target.uid)]);
+    if (!mine.has('*') && [...theirs].some(p => !mine.has(p))) {
+      await this.audit({ req, actor: adminUid, action: 'impersonate_denied', target: target.uid, meta: { reason } });
+      return { err: 'permission-denied' };
+    }
+    const payload = await user.login({ req, res, user: target, days: this.impersonateMinutes / (24 * 60), imp: adminUid });
+    await this.audit({ req, actor: adminUid, action: 'impersonate', target: target.uid, meta: { reason, jti: payload.jti, expire: payload.expire } });
+    return { uid: target.uid, expire: payload.expire };
+  }
+
+  /**
+   * 注册管理相关的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    // 模拟用户登录（客服排查问题用）
+    app.post('/admin/impersonate', { config: { requirePermission: 'users.impersonate' } }, async (req, res) => {
+      try {
+        const adminUid = req.uid;
+        // 不允许在模拟登录状态下再次模拟
+        if (req.impersonator) {
+          return { err: 'permission-denied' };
+        }
+        const { uid, reason } = req.body || {};
+        if (!uid || !reason) {
+          return { err: 'missing-uid-or-reason' };
+        }
+        const { err, ...result } = await this.impersonate({ req, res, adminUid, uid: Number(uid), reason });
+        return err ? { err } : { result };
+      } catch (error) {
+        this.gl.logger.error('模拟登录失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 用户列表（搜索、筛选、分页）
+    app.get('/admin/users', { config: { requirePermission: 'users.read' } }, async (req, res) => {
+      try {
+        const result = await this.gl.user.getUserList(req.query);
+        return { result };
+      } catch (error) {
+        this.gl.logger.error('获取用户列表失败', { error: error.message, query: req.query });
+        return { err: 'invalid-parameters' };
+      }
+    });
+
+    // 用户详情
+    app.get('/admin/users/detail', { config: { requirePermission: 'users.read' } }, async (req, res) => {
+      try {
+        const { db } = this.gl;
+        const uid = Number(req.query.uid);
+        if (!uid) {
+          return { err: 'missing-uid' };
+        }
+        const user = await db.findOne(`
+          SELECT u.uid, u.email, u.email_verified, u.frm, u.info, u.roles, u.status, u.created_at, u.updated_at,
+                 m.last_active_at, m.activity_status, m.active_days_30
+          FROM users u LEFT JOIN user_metrics m ON m.uid = u.uid
+          WHERE u.uid = $1
+        `, [uid]);
+        if (!user) {
+          return { err: 'user-not-found' };
+        }
+        if (this.gl.subscription) user.plan = await this.gl.subscription.getPlan(uid);
+        user.sessions = await this.gl.user.listSessions(uid);
+        return { result: user };
+      } catch (error) {
+        this.gl.logger.error('获取用户详情失败', { error: error.message, query: req.query });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 禁用 / 启用 / 恢复已删除的用户
+    for (const [action, { status, from }] of Object.entries(STATUS_ACTIONS)) {
+      app.post(`/admin/users/${action}`, { config: { requirePermission: 'users.write' } }, async (req, res) => {
+        try {
+          const uid = Number(req.body?.uid);
+          if (!uid) {
+            return { err: 'missing-uid' };
+          }
+          const user = await this.gl.user.setUserStatus(uid, status, { from });
+          if (!user) {
+            return { err: 'invalid-user-status' };
+          }
+          await this.audit({ req, actor: req.uid, action: `user_${action}`, target: uid, meta: { reason: req.body.reason } });
+          return { result: user };
+        } catch (error) {
+          this.gl.logger.error('修改用户状态失败', { error: error.message, action, uid: req.uid });
+          return { err: 'internal-server-error' };
+        }
+      });
+    }
+
+    // 修改用户info
+    app.post('/admin/users/info', { config: { requirePermission: 'users.write' } }, async (req, res) => {
+      try {
+        const { uid, info } = req.body || {};
+        if (!uid || !info || typeof info !== 'object') {
+          return { err: 'invalid-parameters' };
+        }
+        const result = await this.gl.user.updateUserInfo(Number(uid), info);
+        if (result.err) return result;
+        await this.audit({ req, actor: req.uid, action: 'user_info_update', target: Number(uid), meta: { fields: Object.keys(info) } });
+        return { result: result.info };
+      } catch (error) {
+        this.gl.logger.error('修改用户info失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 设置用户角色
+    app.post('/admin/users/roles', { config: { requireRole: 'admin' } }, async (req, res) => {
+      try {
+        const { uid, roles } = req.body || {};
+        if (!uid || !Array.isArray(roles)) {
+          return { err: 'invalid-parameters' };
+        }
+        const result = await this.gl.user.setRoles(Number(uid), roles);
+        await this.audit({ req, actor: req.uid, action: 'set_roles', target: Number(uid), meta: { roles } });
+        return { result };
+      } catch (error) {
+        this.gl.logger.error('设置用户角色失败', { error: error.message, uid: req.uid });
+        return { err: error.message.startsWith('未知角色') ? 'unknown-role' : 'internal-server-error' };
+      }
+    });
+  }
+}
@@ -0,0 +1,32 @@
+// 路由级权限控制：app.get(url, { config: { requireAuth / requireRole / requirePermission / requireEntitlement / denyImpersonation } }, handler)
+// 在认证 preHandler 之后执行，依赖 req.uid；requireEntitlement 为套餐功能名（Config.plans 的 entitlements.features）
+// 模拟登录状态下不能访问需要角色或权限的接口（避免借被模拟用户的权限操作后台），
+// 也不能访问 denyImpersonation 的接口（修改密码、邮箱、第三方身份、两步验证等，避免模拟结束后仍能登录该账号）
+
+/**
+ * 创建权限检查的 preHandler
+ * @param {Object} gl - 全局对象（使用 gl.user / gl.subscription）
+ * @returns {Function} async (req, res) => void
+ */
+export function createAuthGuard(gl) {
+    return async function authGuard(req, res) {
+        const { requireAuth, requireRole, requirePermission, requireEntitlement, denyImpersonation } = req.routeOptions.config || {}
+        if (!requireAuth && !requireRole && !requirePermission && !requireEntitlement && !denyImpersonation) return
+        if (!req.uid) {
+            return res.send({ err: 'user-not-login' })
+        }
+        if (req.impersonator && (requireRole || requirePermission || denyImpersonation)) {
+            return res.send({ err: 'permission-denied' })
+        }
+        const { user } = gl
+        if (requireRole && !(await user?.hasRole(req.uid, requireRole))) {
+            return res.send({ err: 'permission-denied' })
+        }
+        if (requirePermission && !(await user?.hasPermission(req.uid, requirePermission))) {
+            return res.send({ err: 'permission-denied' })
+        }
+        if (requireEntitlement && !(await gl.subscription?.hasFeature(req.uid, requireEntitlement))) {
+            return res.send({ err: 'plan-required' })
+        }
+    }
+}
@@ -1,4 +1,14 @@
 export class BaseService {
+    // 注册到 gl 上的名字，默认为类名小写（DB -> gl.db）
+    static serviceName = null
+    // 依赖的服务名，由 ServiceLoader 保证先启动；'redis?' 表示可选依赖（启用时才先启动）
+    static deps = []
+    // 可选服务：初始化失败时只记录错误，不影响其它服务启动
+    static optional = false
+
+    static get gname() {
+        return this.serviceName || this.name.toLowerCase()
+    }
     static async create(gl, opts) {
         const inst = new this()
         inst.gl = gl
@@ -14,7 +24,7 @@ export class BaseService {
             logger.info("registing endpoints for ", inst.constructor.name)
             await inst.regEndpoints(gl.app)
         }
-        gl[inst.constructor.name.toLowerCase()] = inst
+        gl[this.gname] = inst
         return inst
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,29 @@
+// 多个模块共用的常量。放在这里而不是各服务的文件中，引用常量时不会把未启用的服务模块也加载进来
+
+// 用户状态
+export const USER_STATUS = {
+    DELETED: 0,   // 软删除
+    ACTIVE: 1,
+    DISABLED: 2   // 被管理员禁用
+}
+
+// 用户注册来源（users.frm），与 handleOTT 中已有数据一致
+export const USER_FROM = {
+    PASSWORD: 0,
+    GOOGLE: 1,
+    MAXTHON: 2,
+    EMAIL: 3,     // 邮箱验证码登录
+    GITHUB: 4
+}
+
+// 订阅状态（subscriptions.status）
+export const SUBSCRIPTION_STATUS = {
+    TRIALING: 'trialing',
+    ACTIVE: 'active',
+    PAST_DUE: 'past_due', // 续费失败，宽限期内仍然有效
+    CANCELED: 'canceled'
+}
+// 在 current_period_end 之前享有套餐权益的状态
+export const ENTITLED_STATUS = [SUBSCRIPTION_STATUS.TRIALING, SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAST_DUE]
+// 没有有效订阅时使用的套餐（Config.plans 中必须有）
+export const FREE_PLAN = 'free'
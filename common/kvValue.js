@@ -0,0 +1,16 @@
+// KV 的值以 JSON 保存（DB.setKV / gl.kv.set）
+// 读取时不是合法 JSON 的值（旧版本写入的原始字符串、直接写入 Redis 的值）原样返回，各后端共用
+
+/**
+ * 解析 KV 中保存的值
+ * @param {string|null|undefined} text - 保存的文本
+ * @returns {*} 解析后的值，不是 JSON 时返回原字符串，没有值时返回null
+ */
+export function decodeKV(text) {
+    if (text === null || text === undefined) return null
+    try {
+        return JSON.parse(text)
+    } catch (e) {
+        return text
+    }
+}
@@ -0,0 +1,42 @@
+// 固定窗口计数限流，计数保存在 gl.kv（多进程共享）
+// 路由用法：app.post(url, { config: { rateLimit: { max: 10, window: 3600, by: 'ip' } } }, handler)
+//   by: 'ip'（默认，取 getRealIP 钩子得到的 req.ip）/ 'uid' / (req) => string
+//   多条规则时传数组，name 默认为 方法+路由
+
+/**
+ * 计数一次并判断是否超过限制
+ * @param {Object} kv - gl.kv
+ * @param {string} key - 计数的 key
+ * @param {number} max - 窗口内允许的次数
+ * @param {number} window - 窗口长度（秒）
+ * @returns {Promise<Object>} { limited, count, retryAfter }
+ */
+export async function hit(kv, key, max, window) {
+    const fullKey = `rl_${key}`
+    const count = await kv.incr(fullKey, 1, { ex: window })
+    if (count <= max) return { limited: false, count }
+    const ttl = await kv.ttl(fullKey)
+    return { limited: true, count, retryAfter: ttl > 0 ? ttl : window }
+}
+
+function subjectOf(req, by = 'ip') {
+    if (typeof by === 'function') return by(req)
+    if (by === 'uid') return req.uid || `ip:${req.ip}`
+    return req.ip
+}
+
+/**
+ * 按路由配置的规则限流
+ * @param {Object} params - { kv, req, rules }
+ * @returns {Promise<Object|null>} 超过限制时返回 { retryAfter }
+ */
+export async function checkRules({ kv, req, rules }) {
+    for (const rule of [].concat(rules)) {
+        const subject = subjectOf(req, rule.by)
+        if (!subject) continue
+        const name = rule.name || `${req.method}${req.routeOptions.url}`
+        const result = await hit(kv, `${name}_${subject}`, rule.max, rule.window)
+        if (result.limited) return result
+    }
+    return null
+}
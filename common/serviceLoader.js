@@ -0,0 +1,101 @@
+// 根据各 BaseService 子类声明的 deps / optional 决定启动顺序
+// registry: { 服务名: () => Promise<Class> }，按需 import
+export class ServiceLoader {
+    constructor(gl, registry) {
+        this.gl = gl
+        this.registry = registry
+        this.classes = new Map()
+        this.started = []
+        // 服务名 -> { state: pending|ready|failed|skipped|stopped, error }
+        this.states = new Map()
+    }
+    async loadClass(name) {
+        if (!this.classes.has(name)) {
+            this.classes.set(name, await this.registry[name]())
+        }
+        return this.classes.get(name)
+    }
+    /**
+     * 校验依赖并拓扑排序
+     * @param {Array<string>} names - 启用的服务名
+     * @returns {Promise<Array>} 按启动顺序排列的服务类
+     */
+    async resolve(names) {
+        const enabled = new Set(names)
+        const errors = []
+        for (const name of enabled) {
+            if (!this.registry[name]) errors.push(`未知模块: ${name}`)
+        }
+        if (errors.length) throw new Error(errors.join('; '))
+
+        for (const name of enabled) {
+            const cls = await this.loadClass(name)
+            const missing = cls.deps.filter(d => !d.endsWith('?') && !enabled.has(d))
+            if (missing.length) errors.push(`${name} 依赖 ${missing.join(', ')}`)
+        }
+        if (errors.length) throw new Error('缺少依赖模块: ' + errors.join('; '))
+
+        const order = []
+        const visiting = new Set()
+        const visit = (name, path) => {
+            if (order.includes(this.classes.get(name))) return
+            if (visiting.has(name)) throw new Error(`模块循环依赖: ${[...path, name].join(' -> ')}`)
+            visiting.add(name)
+            for (const dep of this.classes.get(name).deps) {
+                const depName = dep.replace(/\?$/, '')
+                if (enabled.has(depName)) visit(depName, [...path, name])
+            }
+            visiting.delete(name)
+            order.push(this.classes.get(name))
+        }
+        for (const name of enabled) visit(name, [])
+        return order
+    }
+    /**
+     * 按依赖顺序启动服务
+     * @param {Array<string>} names - 启用的服务名
+     */
+    async startAll(names) {
+        const { logger } = this.gl
+        const order = await this.resolve(names)
+        logger.info('启动模块:', order.map(cls => cls.gname).join(' -> '))
+        for (const cls of order) this.states.set(cls.gname, { state: 'pending' })
+        for (const cls of order) {
+            const name = cls.gname
+            // 依赖的可选服务启动失败时，本服务也无法启动
+            const failedDeps = cls.deps.filter(d => !d.endsWith('?') && this.states.get(d)?.state !== 'ready')
+            if (failedDeps.length) {
+                const error = `依赖模块未就绪: ${failedDeps.join(', ')}`
+                if (!cls.optional) throw new Error(`${name} ${error}`)
+                logger.warn('跳过模块', name, error)
+                this.states.set(name, { state: 'skipped', error })
+                continue
+            }
+            try {
+                const inst = await cls.create(this.gl)
+                this.started.push(inst)
+                this.states.set(name, { state: 'ready' })
+            } catch (e) {
+                this.states.set(name, { state: 'failed', error: e.message })
+                if (!cls.optional) throw e
+                logger.error('可选模块启动失败', name, e.message)
+            }
+        }
+    }
+    /**
+     * 按启动的相反顺序关闭服务
+     */
+    async stopAll() {
+        const { logger } = this.gl
+        for (const inst of [...this.started].reverse()) {
+            const name = inst.constructor.gname
+            try {
+                if (inst.close) await inst.close()
+                this.states.set(name, { state: 'stopped' })
+            } catch (e) {
+                logger.error('关闭模块失败', name, e.message)
+            }
+        }
+        this.started = []
+    }
+}
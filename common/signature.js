@@ -0,0 +1,35 @@
+import crypto from 'crypto'
+
+// webhook 签名：hex(HMAC-SHA256(secret, `${timestamp}.${rawBody}`))
+// commonAPI、Stripe（stripe-signature 头的 v1）和测试用的 fake 支付都使用这种格式
+
+/**
+ * 计算签名
+ * @param {string} secret - 密钥
+ * @param {number} timestamp - 秒级时间戳
+ * @param {Buffer|string} rawBody - 原始请求体
+ * @returns {string} hex
+ */
+export function sign(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex')
+}
+
+/**
+ * 校验签名
+ * @param {Object} params - { secrets, rawBody, timestamp, signatures, tolerance }
+ *   secrets: 密钥数组（轮换时新旧同时有效），signatures: 签名或签名数组（hex，可带 sha256= 前缀）
+ * @returns {string|null} 错误码，校验通过时返回null
+ */
+export function verifySignature({ secrets, rawBody, timestamp, signatures, tolerance = 300 }) {
+    if (!secrets?.length) return 'webhook-not-configured'
+    signatures = [].concat(signatures || []).filter(Boolean)
+    if (!timestamp || !signatures.length) return 'missing-signature'
+    const ts = parseInt(timestamp)
+    if (!ts || Math.abs(Date.now() / 1000 - ts) > tolerance) return 'timestamp-out-of-range'
+    const given = signatures.map(s => Buffer.from(String(s).replace(/^sha256=/, ''), 'hex'))
+    const ok = secrets.some(secret => {
+        const expected = Buffer.from(sign(secret, ts, rawBody), 'hex')
+        return given.some(g => g.length === expected.length && crypto.timingSafeEqual(expected, g))
+    })
+    return ok ? null : 'invalid-signature'
+}
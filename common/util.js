@@ -1,9 +1,36 @@
 import crypto from 'crypto';
 import { BaseService } from "./baseService.js";
 
+// 登录token格式：1.<kid>.<base64url(iv | 密文 | tag)>，AES-256-GCM 加密并校验完整性
+// TOKEN_KEYS=kid2:secret2,kid1:secret1 第一个用于签发，其余只用于验证（轮换密钥时旧token仍有效）
+// 旧格式 0-<hex>（AES-CBC，tokenPass）仅在配置了 tokenPass 时兼容验证
+const TOKEN_VERSION = '1'
+const REVOKE_ALL_TTL = 400 * 24 * 3600
+
 export class Util extends BaseService {
     async init(gl) {
-        this.tokenPass = process.env.tokenPass || "2rnma5xsc3efx1Z$#%^09FYkRfuAsxTB"
+        const { logger } = gl
+        this.tokenPass = process.env.tokenPass || null
+        this.acceptLegacyToken = !!this.tokenPass && process.env.TOKEN_ACCEPT_LEGACY !== 'false'
+        this.tokenCookieName = `${process.env.APP_NAME}_ut`
+        this.tokenKeys = this.parseTokenKeys(process.env.TOKEN_KEYS)
+        if (this.tokenKeys.length === 0 && this.tokenPass) {
+            this.tokenKeys = this.parseTokenKeys(`0:${this.tokenPass}`)
+        }
+        if (this.tokenKeys.length === 0) {
+            if (process.env.NODE_ENV === 'production') return '未配置 TOKEN_KEYS'
+            logger.warn('未配置 TOKEN_KEYS，使用临时密钥，重启后所有token失效')
+            this.tokenKeys = this.parseTokenKeys(`dev:${crypto.randomBytes(32).toString('hex')}`)
+        }
+    }
+    parseTokenKeys(str) {
+        if (!str) return []
+        return str.split(',').map(s => s.trim()).filter(Boolean).map(item => {
+            const idx = item.indexOf(':')
+            const kid = item.slice(0, idx)
+            if (idx <= 0 || !/^[A-Za-z0-9_]+$/.test(kid)) throw new Error(`TOKEN_KEYS 格式错误: ${kid || item}`)
+            return { kid, key: crypto.createHash('sha256').update(item.slice(idx + 1)).digest() }
+        })
     }
     getClientIp(req) {
         let IP =
@@ -38,27 +65,119 @@ export class Util extends BaseService {
             return null
         }
     }
-    async uidToToken({ uid, create, expire }) {
+    /**
+     * 生成登录token
+     * @param {Object} payload - { uid, create, expire, ...其它字段 }，自动加上 jti（token唯一ID，用于吊销）
+     * @returns {Promise<string|null>}
+     */
+    async uidToToken({ uid, create = Date.now(), expire, jti = crypto.randomBytes(12).toString('hex'), ...extra }) {
         try {
-            const data = JSON.stringify({ uid, create, expire })
-            return "0-" + await this.encrypt({ data, password: this.tokenPass, to_encoding: "hex" })
+            const { kid, key } = this.tokenKeys[0]
+            const data = Buffer.from(JSON.stringify({ uid, create, expire, jti, ...extra }))
+            const iv = crypto.randomBytes(12)
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+            cipher.setAAD(Buffer.from(`${TOKEN_VERSION}.${kid}`))
+            const crypted = Buffer.concat([iv, cipher.update(data), cipher.final(), cipher.getAuthTag()])
+            return `${TOKEN_VERSION}.${kid}.${crypted.toString('base64url')}`
         } catch (e) {
             console.error(e.message)
         }
         return null
     }
+    /**
+     * 解析并校验token（完整性、过期时间），不检查吊销
+     * @returns {Promise<Object>} token内容，无效时返回 {}
+     */
     async decodeToken({ token }) {
         try {
-            const ver = token.slice(0, 2)
-            const data = this.decrypt({ data: token.slice(2), password: this.tokenPass, from_encoding: "hex" })
-            const user = JSON.parse(data)
-            console.log(user)
-            return user || {}
+            const payload = token.startsWith('0-') ? this.decodeLegacyToken(token) : this.decodeTokenV1(token)
+            if (!payload?.uid) return {}
+            if (payload.expire && payload.expire < Date.now()) return {}
+            return payload
         } catch (e) {
             console.error(e.message)
         }
         return {}
     }
+    decodeTokenV1(token) {
+        const [ver, kid, data] = token.split('.')
+        if (ver !== TOKEN_VERSION || !data) return null
+        const item = this.tokenKeys.find(k => k.kid === kid)
+        if (!item) return null
+        const buf = Buffer.from(data, 'base64url')
+        if (buf.length < 12 + 16) return null
+        const decipher = crypto.createDecipheriv('aes-256-gcm', item.key, buf.subarray(0, 12))
+        decipher.setAAD(Buffer.from(`${ver}.${kid}`))
+        decipher.setAuthTag(buf.subarray(buf.length - 16))
+        const decrypted = Buffer.concat([decipher.update(buf.subarray(12, buf.length - 16)), decipher.final()])
+        return JSON.parse(decrypted.toString('utf8'))
+    }
+    decodeLegacyToken(token) {
+        if (!this.acceptLegacyToken) return null
+        const data = this.decrypt({ data: token.slice(2), password: this.tokenPass, from_encoding: "hex" })
+        return this.parseJson(data)
+    }
+    /**
+     * token是否已被吊销（单个吊销，或用户 logout-everywhere 之前签发）
+     * @param {Object} payload - decodeToken 的结果
+     */
+    async isTokenRevoked(payload) {
+        const { kv } = this.gl
+        const [revoked, validAfter] = await kv.mget([`revoked_token_${payload.jti}`, `tokens_valid_after_${payload.uid}`])
+        if (payload.jti && revoked) return true
+        if (validAfter && (payload.create || 0) < validAfter) return true
+        return false
+    }
+    /**
+     * 吊销单个token
+     * @param {Object} payload - { jti, expire }
+     */
+    async revokeToken({ jti, expire }) {
+        if (!jti) return
+        const ttl = expire ? Math.ceil((expire - Date.now()) / 1000) : REVOKE_ALL_TTL
+        if (ttl <= 0) return
+        await this.gl.kv.set(`revoked_token_${jti}`, 1, { ex: ttl })
+    }
+    /**
+     * 吊销某用户之前签发的所有token（logout everywhere）
+     * @param {Object} params - { uid }
+     */
+    async revokeAllTokens({ uid }) {
+        await this.gl.kv.set(`tokens_valid_after_${uid}`, Date.now(), { ex: REVOKE_ALL_TTL })
+    }
+    /**
+     * 从请求的cookie中解析登录token，校验完整性、过期和吊销
+     * @returns {Promise<Object|null>} token内容
+     */
+    async authenticate(req) {
+        const token = this.getCookie({ name: this.tokenCookieName, req })
+        if (!token) return null
+        const payload = await this.decodeToken({ token })
+        if (!payload.uid) return null
+        if (await this.isTokenRevoked(payload)) return null
+        return payload
+    }
+    /**
+     * 签发登录token并写入cookie
+     * @param {Object} params - { req, res, uid, days = 30, ...token中的其它字段 }
+     * @returns {Promise<Object>} { token, payload }
+     */
+    async issueToken({ req, res, uid, days = 30, ...extra }) {
+        const create = Date.now()
+        const expire = create + 1000 * 3600 * 24 * days
+        const jti = crypto.randomBytes(12).toString('hex')
+        const token = await this.uidToToken({ uid, create, expire, jti, ...extra })
+        this.setCookie({ req, res, name: this.tokenCookieName, value: token, days, secure: true })
+        return { token, payload: { uid, create, expire, jti, ...extra } }
+    }
+    /**
+     * 邮箱统一去掉首尾空白并转小写，保存和查询都用这个结果（查询时与 lower(email) 比较，兼容旧数据）
+     * @param {string} email
+     * @returns {string}
+     */
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase()
+    }
     getCookie({ req, name }) {
         if (!req.cookies) return null
         return req.cookies[name]
@@ -80,6 +199,11 @@ export class Util extends BaseService {
         if (!days) delete options.maxAge
         res.setCookie(name, value, options)
     }
+    clearCookie({ req, res, name, path = '/', domain = 'root' }) {
+        const hostParts = (new URL("http://" + req.headers['host'])).hostname.split('.')
+        if (domain === 'root') domain = hostParts.slice(-2).join('.')
+        res.clearCookie(name, { path, domain: '.' + domain })
+    }
     parseJson(data) {
         try {
             return JSON.parse(data)
@@ -2,24 +2,63 @@ export const Config = {
     project: {
         name: process.env.APP_NAME || "rest_template"
     },
-    modules: process.env.modules,
+    // 启用的模块，来自环境变量 Modules（逗号分隔，如 Modules=redis,db,user,pay）
+    get modules() {
+        return (process.env.Modules || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+    },
+    // 测试登录（x-test-uid 头 / _testuid 参数），仅限开发测试，生产环境开启会拒绝启动
+    get testAuth() {
+        return process.env.TEST_AUTH === '1'
+    },
+    // 支付测试模式（commonAPI 使用测试环境），PAY_TEST=1 开启
+    get payTest() {
+        return process.env.PAY_TEST === '1'
+    },
+    // 角色 -> 权限，'*' 表示全部权限
+    roles: {
+        admin: ['*'],
+        support: ['users.read', 'users.write', 'users.impersonate'],
+    },
+    // 套餐目录：key 为套餐ID（保存在 subscriptions.plan），没有有效订阅时使用 free
+    //   tier: 套餐等级，/user/info 返回的 plan.name
+    //   price: "金额|周期"，金额为美分，周期 M（月）/ Y（年）
+    //   entitlements: features 为功能开关，limits 为数量限制（-1 表示不限），路由用 gl.subscription.entitlements(uid) 判断
     plans: {
+        free: {
+            name: "Free",
+            tier: 'free',
+            price: "0|M",
+            entitlements: {
+                features: [],
+                limits: { projects: 3, storageMB: 100 },
+            },
+        },
         plan_plus: {
             co: 'mx',
             name: "Plus Plan Monthly",
+            tier: 'plus',
             mode: "sub",
             trial_day: 3,
             coupon: 'lnT0v68q',
             coupon_test1: 'ZGvvUs6p',
             price: "990|M", //usd cents
+            entitlements: {
+                features: ['export', 'priority_support'],
+                limits: { projects: -1, storageMB: 10240 },
+            },
         },
         plan_plus_year: {
             co: 'mx',
             name: "Plus Plan Yearly",
+            tier: 'plus',
             mode: "sub",
             trial_day: 3,
             coupon: 'lnT0v68q',
             price: "9900|Y", //usd cents
+            entitlements: {
+                features: ['export', 'priority_support'],
+                limits: { projects: -1, storageMB: 10240 },
+            },
         },
     }
 }
\ No newline at end of file
@@ -1,9 +1,10 @@
 import pgPromise from 'pg-promise';
 import { BaseService } from './common/baseService.js';
-import { createTables } from './dbInit.js'
+import { decodeKV } from './common/kvValue.js';
+import { runMigrations } from './dbInit.js'
 
 export class DB extends BaseService {
-  async init(gl) {
+  async init(gl, { migrate = process.env.DB_AUTO_MIGRATE !== 'false' } = {}) {
     const { logger } = gl;
     this.isConnected = false;
     this.pgp = null;
@@ -29,20 +30,37 @@ export class DB extends BaseService {
     this.pgp = pgPromise({
       capSQL: true
     });
-    this.db = this.pgp(connectionString);
+    this.db = this.pgp(dbConfig);
 
-    await this.testConnection();
+    const { currentTime, version } = await this.testConnection();
+    logger.info('数据库连接测试成功', { currentTime, version });
     this.isConnected = true;
     logger.info('数据库连接初始化成功');
-    await createTables(this)
+    if (migrate) await runMigrations(this)
+    this.startKVSweeper();
   }
 
   async testConnection() {
     const result = await this.db.one('SELECT NOW() as current_time, version() as version');
-    this.gl.logger.info('数据库连接测试成功', {
+    return {
       currentTime: result.current_time,
       version: result.version.split(' ')[0]
-    });
+    };
+  }
+
+  /**
+   * 连接池状态
+   * @returns {Object} { total, idle, waiting, max }
+   */
+  getPoolStatus() {
+    const pool = this.db?.$pool;
+    if (!pool) return null;
+    return {
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount,
+      max: pool.options.max
+    };
   }
 
   // 执行查询的方法
@@ -70,7 +88,7 @@ export class DB extends BaseService {
   }
 
   /**
-    * 执行数据库迁移脚本
+    * 执行一段临时SQL脚本（不记录到 schema_migrations，正式的表结构变更请放到 migrations/ 目录）
     * @param {string} migrationSql - 迁移SQL脚本
     * @returns {Promise<void>}
     */
@@ -85,7 +103,8 @@ export class DB extends BaseService {
   // 优雅关闭数据库连接
   async close() {
     try {
-      if (this.pgp) this.pgp.end();
+      this.stopKVSweeper();
+      if (this.db) await this.db.$pool.end();
       console.log('Database connections closed');
     } catch (error) {
       console.error('Error closing database:', error);
@@ -120,43 +139,235 @@ export class DB extends BaseService {
     return result.rows[0] || null;
   }
 
+  /**
+   * 获取表的列类型（带缓存），用于识别 JSON/JSONB 列
+   * @param {string} table - 表名
+   * @returns {Promise<Object>} { 列名: 数据类型 }
+   */
+  async getColumnTypes(table) {
+    if (!this.columnTypes) this.columnTypes = new Map();
+    if (this.columnTypes.has(table)) return this.columnTypes.get(table);
+    const rows = await this.db.any(
+      `SELECT column_name, data_type FROM information_schema.columns
+       WHERE table_schema = 'public' AND table_name = $1`,
+      [table]
+    );
+    const types = {};
+    for (const row of rows) types[row.column_name] = row.data_type;
+    this.columnTypes.set(table, types);
+    return types;
+  }
+
+  /**
+   * 根据数据构建 ColumnSet，JSON/JSONB 列的非 null 值使用 :json 格式化
+   * @param {string} table - 表名
+   * @param {Object} data - 数据对象
+   */
+  async buildColumnSet(table, data) {
+    const types = await this.getColumnTypes(table);
+    const columns = Object.keys(data).map(name => {
+      const type = types[name];
+      const isJson = type === 'json' || type === 'jsonb';
+      // 字符串也按 JSON 编码，调用方传入原始值，不要先 JSON.stringify
+      if (isJson && data[name] !== null) {
+        return { name, mod: ':json' };
+      }
+      return { name };
+    });
+    return new this.pgp.helpers.ColumnSet(columns, { table });
+  }
+
+  /**
+   * 构建 WHERE 子句，值为数组时使用 IN，值为 null 时使用 IS NULL
+   * @param {Object} where - 条件对象
+   * @returns {string} WHERE 子句（条件为空时返回空字符串）
+   */
+  buildWhere(where = {}) {
+    const { as } = this.pgp;
+    const conditions = Object.entries(where).map(([key, value]) => {
+      if (value === null) return as.format('$1:name IS NULL', [key]);
+      if (Array.isArray(value)) {
+        if (value.length === 0) return 'FALSE';
+        return as.format('$1:name IN ($2:csv)', [key, value]);
+      }
+      return as.format('$1:name = $2', [key, value]);
+    });
+    return conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+  }
+
+  /**
+   * 构建 ORDER BY 子句
+   * @param {string|Array|Object} orderBy - 'created_at DESC' / ['uid', 'email desc'] / { created_at: 'desc' }
+   * @returns {string} ORDER BY 子句
+   */
+  buildOrderBy(orderBy) {
+    if (!orderBy) return '';
+    let items = orderBy;
+    if (typeof orderBy === 'string') items = orderBy.split(',');
+    if (!Array.isArray(items)) items = Object.entries(orderBy).map(([col, dir]) => `${col} ${dir}`);
+    const parts = items.map(item => {
+      const [col, dir = 'ASC'] = item.trim().split(/\s+/);
+      const direction = dir.toUpperCase();
+      if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new Error(`无效的排序方向: ${dir}`);
+      }
+      return this.pgp.as.format('$1:name', [col]) + ' ' + direction;
+    });
+    return ' ORDER BY ' + parts.join(', ');
+  }
+
+  /**
+   * 插入一条记录
+   * @param {string} table - 表名
+   * @param {Object} data - 数据对象
+   * @returns {Promise<Object>} 插入后的完整记录
+   */
+  async insert(table, data) {
+    const cs = await this.buildColumnSet(table, data);
+    const sql = this.pgp.helpers.insert(data, cs) + ' RETURNING *';
+    return this.db.one(sql);
+  }
+
+  /**
+   * 按条件更新记录
+   * @param {string} table - 表名
+   * @param {Object} data - 要更新的字段
+   * @param {Object} where - 条件对象
+   * @returns {Promise<Object|null>} 更新后的第一条记录，无匹配时返回null
+   */
+  async update(table, data, where) {
+    if (!where || Object.keys(where).length === 0) {
+      throw new Error('update 必须提供条件');
+    }
+    const cs = await this.buildColumnSet(table, data);
+    const sql = this.pgp.helpers.update(data, cs) + this.buildWhere(where) + ' RETURNING *';
+    const rows = await this.db.any(sql);
+    return rows[0] || null;
+  }
+
+  /**
+   * 按条件删除记录
+   * @param {string} table - 表名
+   * @param {Object} where - 条件对象
+   * @returns {Promise<number>} 删除的记录数
+   */
+  async delete(table, where) {
+    if (!where || Object.keys(where).length === 0) {
+      throw new Error('delete 必须提供条件');
+    }
+    const sql = this.pgp.as.format('DELETE FROM $1:name', [table]) + this.buildWhere(where);
+    const result = await this.db.result(sql);
+    return result.rowCount;
+  }
+
+  /**
+   * 用原始SQL查找多条记录
+   * @param {string} query - SQL语句
+   * @param {Array} [params] - 参数
+   * @returns {Promise<Array>} 记录列表
+   */
+  async findMany(query, params = []) {
+    const result = await this.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * 按条件查找表中的多条记录
+   *   findWhere('users', { status: 1 }, { orderBy: 'created_at DESC', limit: 10, offset: 0, columns: ['uid', 'email'] })
+   * @param {string} table - 表名
+   * @param {Object} [where] - 条件对象
+   * @param {Object} [options] - { orderBy, limit, offset, columns }
+   * @returns {Promise<Array>} 记录列表
+   */
+  async findWhere(table, where = {}, options = {}) {
+    const { orderBy, limit, offset, columns } = options;
+    const { as } = this.pgp;
+    const cols = columns?.length ? as.format('$1:name', [columns]) : '*';
+    let sql = as.format(`SELECT ${cols} FROM $1:name`, [table]);
+    sql += this.buildWhere(where);
+    sql += this.buildOrderBy(orderBy);
+    if (limit !== undefined) sql += as.format(' LIMIT $1', [parseInt(limit)]);
+    if (offset !== undefined) sql += as.format(' OFFSET $1', [parseInt(offset)]);
+    return this.db.any(sql);
+  }
+
+  /**
+   * 插入或更新（ON CONFLICT）
+   * @param {string} table - 表名
+   * @param {Object} data - 数据对象
+   * @param {string|Array} conflict - 冲突列
+   * @param {Object} [options]
+   * @param {Array} [options.update] - 冲突时更新的列，默认为除冲突列外的全部列
+   * @returns {Promise<Object|null>} 插入/更新后的记录，无需更新时返回null
+   */
+  async upsert(table, data, conflict, { update } = {}) {
+    const conflictCols = Array.isArray(conflict) ? conflict : [conflict];
+    const cs = await this.buildColumnSet(table, data);
+    const updateCols = update || cs.columns.map(c => c.name).filter(name => !conflictCols.includes(name));
+    let sql = this.pgp.helpers.insert(data, cs);
+    sql += this.pgp.as.format(' ON CONFLICT ($1:name)', [conflictCols]);
+    if (updateCols.length) {
+      sql += ' DO UPDATE SET ' + cs.assignColumns({ from: 'EXCLUDED', skip: cs.columns.map(c => c.name).filter(name => !updateCols.includes(name)) });
+    } else {
+      sql += ' DO NOTHING';
+    }
+    sql += ' RETURNING *';
+    return this.db.oneOrNone(sql);
+  }
+
   // KV Store Methods
+  // value 以 JSON 编码存储，getKV 原样返回 setKV 时的值（字符串仍是字符串）
+  // 读取时按文本取出再用 decodeKV 解析：旧部署的 kv 表 value 可能是 TEXT，其中的原始字符串不是 JSON，原样返回
+
+  // 计算过期时间戳（毫秒），0 表示永久
+  kvExpireAt(ttl, now = Date.now()) {
+    const hasTTL = ttl !== undefined && ttl !== null;
+    return hasTTL ? (now + Math.max(0, ttl) * 1000) : 0;
+  }
+
+  /**
+   * 设置KV
+   * @param {string} key
+   * @param {*} value - 可JSON序列化的值
+   * @param {number|Object} [options] - 过期秒数，或 { ex, nx }
+   * @returns {Promise<boolean>} 是否写入（nx 且 key 已存在时返回false）
+   */
   async setKV(key, value, options) {
     const ttl = typeof options === 'number' ? options : options?.ex;
     const nx = !!options?.nx;
 
     const now = Date.now();
-    const hasTTL = ttl !== undefined && ttl !== null;
-    const expire = hasTTL ? (now + Math.max(0, ttl) * 1000) : 0;
+    const expire = this.kvExpireAt(ttl, now);
 
     const query = nx
       ? `
       INSERT INTO kv (key, value, expire)
-      VALUES ($1, $2, $3)
+      VALUES ($1, $2::jsonb, $3)
       ON CONFLICT (key) DO UPDATE
       SET value = EXCLUDED.value,
           expire = EXCLUDED.expire
       WHERE kv.expire <> 0 AND kv.expire < $4
+      RETURNING key
       `
       : `
       INSERT INTO kv (key, value, expire)
-      VALUES ($1, $2, $3)
+      VALUES ($1, $2::jsonb, $3)
       ON CONFLICT (key) DO UPDATE SET
         value = EXCLUDED.value,
         expire = EXCLUDED.expire
+      RETURNING key
       `;
 
-    // 如果你不需要 {v:...} 建议直接 value
-    await this.db.none(query, [key, value, expire, now]);
+    const row = await this.db.oneOrNone(query, [key, JSON.stringify(value), expire, now]);
+    return !!row;
   }
 
-  // 约定：kv.value 存的是原始 value（建议），如果你仍存 {v:value}，看下面注释
   async getKV(key, { withTTL = false, cleanupExpired = true } = {}) {
     const now = Date.now();
 
     // 先查一把（把 expire 一起取出来，方便判断/算ttl）
     const row = await this.db.oneOrNone(
-      `SELECT value, expire
+      `SELECT value::text AS value, expire
      FROM kv
      WHERE key = $1`,
       [key]
@@ -164,7 +375,7 @@ export class DB extends BaseService {
 
     if (!row) return null;
 
-    const { value, expire } = row;
+    const { expire } = row;
 
     // 已过期
     if (expire !== 0 && expire <= now) {
@@ -174,17 +385,171 @@ export class DB extends BaseService {
       return null;
     }
 
-    // 如果你之前存的是 {v: value}，那这里改成：
-    // const realValue = value?.v;
-    const realValue = value;
-
-    if (!withTTL) return realValue;
+    const value = decodeKV(row.value);
+    if (!withTTL) return value;
 
     const ttlSec = expire === 0 ? -1 : Math.max(0, Math.ceil((expire - now) / 1000)); // -1 表示永久
-    return { value: realValue, ttlSec };
+    return { value, ttlSec };
   }
 
+  /**
+   * 删除KV
+   * @returns {Promise<number>} 删除的数量
+   */
   async delKV(key) {
-    await this.db.none('DELETE FROM kv WHERE key = $1', [key]);
+    const result = await this.db.result('DELETE FROM kv WHERE key = $1', [key]);
+    return result.rowCount;
+  }
+
+  /**
+   * 原子自增（计数器），key 不存在或已过期时从0开始
+   * 与 Redis INCR 一致：ex 只在新建 key 时生效，已有 key 保持原过期时间
+   * @param {string} key
+   * @param {number} [by=1] - 增量
+   * @param {Object} [options] - { ex }
+   * @returns {Promise<number>} 自增后的值
+   */
+  async incrKV(key, by = 1, { ex } = {}) {
+    const now = Date.now();
+    const row = await this.db.one(`
+      INSERT INTO kv (key, value, expire)
+      VALUES ($1, to_jsonb($2::bigint), $3)
+      ON CONFLICT (key) DO UPDATE SET
+        value = CASE WHEN kv.expire <> 0 AND kv.expire <= $4
+          THEN EXCLUDED.value
+          ELSE to_jsonb(COALESCE((kv.value #>> '{}')::bigint, 0) + $2::bigint) END,
+        expire = CASE WHEN kv.expire <> 0 AND kv.expire <= $4
+          THEN EXCLUDED.expire
+          ELSE kv.expire END
+      RETURNING (value #>> '{}')::bigint AS value
+    `, [key, by, this.kvExpireAt(ex, now), now]);
+    return Number(row.value);
+  }
+
+  /**
+   * 批量获取
+   * @param {Array<string>} keys
+   * @returns {Promise<Array>} 与 keys 顺序一致，不存在或已过期为null
+   */
+  async mgetKV(keys) {
+    if (!keys.length) return [];
+    const rows = await this.db.any(
+      'SELECT key, value::text AS value FROM kv WHERE key IN ($1:csv) AND (expire = 0 OR expire > $2)',
+      [keys, Date.now()]
+    );
+    const map = new Map(rows.map(r => [r.key, decodeKV(r.value)]));
+    return keys.map(k => map.has(k) ? map.get(k) : null);
+  }
+
+  /**
+   * 批量设置
+   * @param {Object|Array} entries - { key: value } 或 [[key, value], ...]
+   * @param {number|Object} [options] - 过期秒数，或 { ex }
+   */
+  async msetKV(entries, options) {
+    const ttl = typeof options === 'number' ? options : options?.ex;
+    const expire = this.kvExpireAt(ttl);
+    const list = Array.isArray(entries) ? entries : Object.entries(entries);
+    if (!list.length) return;
+    const cs = new this.pgp.helpers.ColumnSet(['key', { name: 'value', mod: ':json' }, 'expire'], { table: 'kv' });
+    const data = list.map(([key, value]) => ({ key, value, expire }));
+    await this.db.none(
+      this.pgp.helpers.insert(data, cs) +
+      ' ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, expire = EXCLUDED.expire'
+    );
+  }
+
+  /**
+   * 剩余过期时间（秒），与 Redis TTL 一致
+   * @returns {Promise<number>} -2 不存在，-1 永久
+   */
+  async ttlKV(key) {
+    const result = await this.getKV(key, { withTTL: true });
+    return result ? result.ttlSec : -2;
+  }
+
+  /**
+   * 设置过期时间
+   * @param {string} key
+   * @param {number|null} seconds - 秒数，null 表示改为永久
+   * @returns {Promise<boolean>} key 存在且设置成功
+   */
+  async expireKV(key, seconds) {
+    const now = Date.now();
+    const expire = seconds === null ? 0 : this.kvExpireAt(seconds, now);
+    const result = await this.db.result(
+      'UPDATE kv SET expire = $2 WHERE key = $1 AND (expire = 0 OR expire > $3)',
+      [key, expire, now]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * 按前缀扫描（按 key 排序，游标分页）
+   * @param {string} prefix - key前缀
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - 每页数量
+   * @param {string} [options.cursor] - 上一页返回的游标
+   * @param {boolean} [options.withValues=false] - 是否返回value
+   * @returns {Promise<Object>} { keys, values?, cursor }，cursor 为null表示已扫描完
+   */
+  async scanKV(prefix, { limit = 100, cursor = null, withValues = false } = {}) {
+    const pattern = prefix.replace(/[\\%_]/g, '\\$&') + '%';
+    const rows = await this.db.any(`
+      SELECT key${withValues ? ', value::text AS value' : ''} FROM kv
+      WHERE key LIKE $1 AND ($2::text IS NULL OR key > $2) AND (expire = 0 OR expire > $3)
+      ORDER BY key
+      LIMIT $4
+    `, [pattern, cursor, Date.now(), limit]);
+    const result = { keys: rows.map(r => r.key) };
+    if (withValues) result.values = rows.map(r => decodeKV(r.value));
+    result.cursor = rows.length === limit ? rows[rows.length - 1].key : null;
+    return result;
+  }
+
+  /**
+   * 清理过期的KV（分批删除，走 idx_kv_expire_due 部分索引）
+   * @param {number} [batchSize=1000] - 每批数量
+   * @returns {Promise<number>} 删除的总数
+   */
+  async sweepExpiredKV(batchSize = 1000) {
+    let total = 0;
+    while (true) {
+      const result = await this.db.result(`
+        DELETE FROM kv WHERE key IN (
+          SELECT key FROM kv WHERE expire <> 0 AND expire <= $1 LIMIT $2
+        )
+      `, [Date.now(), batchSize]);
+      total += result.rowCount;
+      if (result.rowCount < batchSize) break;
+    }
+    return total;
+  }
+
+  /**
+   * 启动后台过期清理，间隔由 KV_SWEEP_INTERVAL（秒，默认60，0表示关闭）控制
+   */
+  startKVSweeper() {
+    const interval = parseInt(process.env.KV_SWEEP_INTERVAL ?? 60);
+    const batchSize = parseInt(process.env.KV_SWEEP_BATCH) || 1000;
+    if (!interval) return;
+    this.kvSweeper = setInterval(async () => {
+      if (this.sweeping) return;
+      this.sweeping = true;
+      try {
+        const count = await this.sweepExpiredKV(batchSize);
+        if (count) this.gl.logger.debug('清理过期KV', { count });
+      } catch (error) {
+        this.gl.logger.error('清理过期KV失败', { error: error.message });
+      } finally {
+        this.sweeping = false;
+      }
+    }, interval * 1000);
+    this.kvSweeper.unref();
+  }
+
+  stopKVSweeper() {
+    if (this.kvSweeper) clearInterval(this.kvSweeper);
+    this.kvSweeper = null;
   }
 }
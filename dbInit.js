@@ -1,181 +1,139 @@
-export async function createTables(db) {
-    try {
-        //users
-        if (!await db.tableExists('users')) {
-            await db.query(`
-        CREATE TABLE IF NOT EXISTS users (
-        uid SERIAL PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        pass TEXT NOT NULL,
-        frm INTEGER DEFAULT 0,
-        info JSONB DEFAULT '{}',
-        sysinfo JSONB DEFAULT '{}',
-        level INTEGER DEFAULT 0,
-        level_exp INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        status INTEGER DEFAULT 1
-        );
-        ALTER SEQUENCE users_uid_seq RESTART WITH 1000;
-
-        -- 创建索引（加上 IF NOT EXISTS）
-        DO $$
-        BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE schemaname = 'public' AND indexname = 'idx_users_uid') THEN
-            CREATE INDEX idx_users_uid ON users(uid);
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE schemaname = 'public' AND indexname = 'idx_users_email') THEN
-            CREATE INDEX idx_users_email ON users(email);
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE schemaname = 'public' AND indexname = 'idx_users_status') THEN
-            CREATE INDEX idx_users_status ON users(status);
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE schemaname = 'public' AND indexname = 'idx_users_from') THEN
-            CREATE INDEX idx_users_from ON users(frm);
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE schemaname = 'public' AND indexname = 'idx_users_created_at') THEN
-            CREATE INDEX idx_users_created_at ON users(created_at);
-        END IF;
-        END
-        $$;
-
-        -- 创建更新时间触发器函数（安全）
-        CREATE OR REPLACE FUNCTION update_updated_at_column()
-        RETURNS TRIGGER AS $$
-        BEGIN
-        NEW.updated_at = CURRENT_TIMESTAMP;
-        RETURN NEW;
-        END;
-        $$ language 'plpgsql';
-
-        -- 创建触发器（避免重复创建）
-        DO $$
-        BEGIN
-        IF NOT EXISTS (
-            SELECT 1 FROM pg_trigger WHERE tgname = 'update_users_updated_at'
-        ) THEN
-            CREATE TRIGGER update_users_updated_at
-            BEFORE UPDATE ON users
-            FOR EACH ROW
-            EXECUTE FUNCTION update_updated_at_column();
-        END IF;
-        END
-        $$;
-      `)
-        }
-
-
-
-        // payments 表
-        if (!await db.tableExists('payments')) {
-            await db.query(`
-            CREATE TABLE IF NOT EXISTS payments (
-            id BIGSERIAL PRIMARY KEY,
-            uid BIGINT REFERENCES users(uid),
-            email TEXT,
-            order_id TEXT UNIQUE,
-            amount BIGINT NOT NULL,
-            type INT DEFAULT 0,
-            meta JSONB DEFAULT '{}',
-            sysinfo JSONB DEFAULT '{}',
-
-            -- 生成列，直接从 meta 提取
-            pid TEXT GENERATED ALWAYS AS (meta->>'pid') STORED,
-            did TEXT GENERATED ALWAYS AS (meta->>'did') STORED,
-
-            created_at TIMESTAMPTZ DEFAULT now()
-        );
-
-        -- 单列索引
-        CREATE INDEX IF NOT EXISTS idx_payments_pid ON payments (pid);
-        CREATE INDEX IF NOT EXISTS idx_payments_did ON payments (did);
-
-        -- 联合索引（常用组合查询）
-            CREATE INDEX IF NOT EXISTS idx_payments_pid_did ON payments (pid, did);
-        SELECT setval('payments_id_seq', COALESCE((SELECT MAX(id) FROM payments), 1000), true);
-        `);
-        }
-
-
-        // orders
-        if (!await db.tableExists('orders')) {
-            await db.query(`
-                CREATE TABLE IF NOT EXISTS orders (
-                    id TEXT PRIMARY KEY,
-                    uid BIGINT NOT NULL,
-                    product TEXT,
-                    meta JSONB,
-                    ctime BIGINT
-                );
-                CREATE INDEX idx_orders_uid ON orders(uid);
-                CREATE INDEX idx_orders_product ON orders(product);
-                CREATE INDEX idx_orders_ctime ON orders(ctime);
-            `);
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// 迁移文件目录：migrations/0001_xxx.js，导出 up / down（SQL字符串或 async (t) => {}）
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+// pm2 -i max 多个 worker 同时启动时，用 advisory lock 串行执行迁移
+const LOCK_KEY = 'schema_migrations';
+
+/**
+ * 读取所有迁移文件，按版本号排序
+ * @returns {Promise<Array>} [{ version, name, file, up, down }]
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    const files = fs.readdirSync(dir).filter(f => /^\d+_.+\.js$/.test(f));
+    const migrations = [];
+    for (const file of files) {
+        const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+        const mod = await import(pathToFileURL(path.join(dir, file)).href);
+        migrations.push({ version: parseInt(version), name, file, up: mod.up, down: mod.down });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`迁移版本号重复: ${migrations[i - 1].file}, ${migrations[i].file}`);
         }
-
-        // kv (UNLOGGED)
-        if (!await db.tableExists('kv')) {
-            await db.query(`
-                CREATE UNLOGGED TABLE IF NOT EXISTS kv (
-                    key    TEXT PRIMARY KEY,
-                    value  JSONB NOT NULL,
-                    expire BIGINT NOT NULL DEFAULT 0
-                );
-
-                -- 用部分索引：只索引“会过期”的行，清理扫描更快
-                CREATE INDEX IF NOT EXISTS idx_kv_expire_due
-                    ON kv (expire)
-                    WHERE expire <> 0;
-            `);
+    }
+    return migrations;
+}
+
+async function ensureMigrationTable(t) {
+    await t.none(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMPTZ DEFAULT now()
+        )
+    `);
+}
+
+async function runStep(t, step) {
+    if (typeof step === 'function') return step(t);
+    if (typeof step === 'string' && step.trim()) return t.none(step);
+}
+
+// 在独立连接上持有 advisory lock 执行 callback
+async function withLock(db, callback) {
+    return db.db.task(async t => {
+        await t.none('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+        try {
+            await ensureMigrationTable(t);
+            return await callback(t);
+        } finally {
+            await t.none('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
         }
-
-        // user_metrics
-        if (!await db.tableExists('user_metrics')) {
-            await db.query(`
-                CREATE TABLE IF NOT EXISTS user_metrics (
-                    uid BIGINT PRIMARY KEY REFERENCES users(uid) ON DELETE CASCADE,
-                    last_active_at TIMESTAMPTZ,
-                    activity_status TEXT,
-                    active_days_30  INTEGER NOT NULL DEFAULT 0,
-                    reactivation_7d_sent_at TIMESTAMPTZ,
-                    reactivation_14d_sent_at TIMESTAMPTZ,
-                    reactivation_30d_sent_at TIMESTAMPTZ,
-                    last_marketing_email_at TIMESTAMPTZ
-                );
-                CREATE INDEX IF NOT EXISTS idx_user_metrics_last_active_at ON user_metrics(last_active_at);
-                CREATE INDEX IF NOT EXISTS idx_user_metrics_activity_status ON user_metrics(activity_status);
-                CREATE INDEX IF NOT EXISTS idx_user_metrics_reactivation_7d_sent_at ON user_metrics(reactivation_7d_sent_at);
-                CREATE INDEX IF NOT EXISTS idx_user_metrics_reactivation_14d_sent_at ON user_metrics(reactivation_14d_sent_at);
-                CREATE INDEX IF NOT EXISTS idx_user_metrics_reactivation_30d_sent_at ON user_metrics(reactivation_30d_sent_at);
-                CREATE INDEX IF NOT EXISTS idx_user_metrics_last_marketing_email_at ON user_metrics(last_marketing_email_at);
-            `);
+    });
+}
+
+/**
+ * 执行所有未应用的迁移（每个迁移一个事务）
+ * @param {DB} db - DB服务实例
+ * @param {Object} [options] - { dir }，迁移文件目录，默认 migrations/
+ * @returns {Promise<Array>} 本次应用的迁移
+ */
+export async function runMigrations(db, { dir } = {}) {
+    const { logger } = db.gl;
+    const migrations = await loadMigrations(dir);
+    const applied = await withLock(db, async t => {
+        const done = new Set((await t.any('SELECT version FROM schema_migrations')).map(r => r.version));
+        const result = [];
+        for (const m of migrations) {
+            if (done.has(m.version)) continue;
+            logger.info('执行数据库迁移', { version: m.version, name: m.name });
+            await t.tx(async tx => {
+                await runStep(tx, m.up);
+                await tx.none('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+            });
+            result.push(m);
         }
-
-        // user_daily_activity
-        if (!await db.tableExists('user_daily_activity')) {
-            await db.query(`
-                CREATE TABLE IF NOT EXISTS user_daily_activity (
-                  uid BIGINT NOT NULL,
-                  activity_date DATE NOT NULL,
-                  PRIMARY KEY (uid, activity_date)
-                );
-                CREATE INDEX IF NOT EXISTS idx_user_daily_activity_date ON user_daily_activity(activity_date);
-            `);
+        return result;
+    });
+    if (applied.length) db.columnTypes?.clear();
+    logger.info('数据库迁移完成', { applied: applied.map(m => m.version) });
+    return applied;
+}
+
+/**
+ * 查看迁移状态（只读：不等待 advisory lock，也不创建 schema_migrations 表，迁移执行中也能查看）
+ * @param {DB} db - DB服务实例
+ * @returns {Promise<Array>} [{ version, name, applied, applied_at }]
+ */
+export async function migrationStatus(db) {
+    const migrations = await loadMigrations();
+    const exists = await db.db.oneOrNone(`SELECT to_regclass('schema_migrations') AS t`);
+    const rows = exists?.t ? await db.db.any('SELECT version, name, applied_at FROM schema_migrations') : [];
+    const appliedMap = new Map(rows.map(r => [r.version, r]));
+    const status = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: appliedMap.has(m.version),
+        applied_at: appliedMap.get(m.version)?.applied_at || null
+    }));
+    // 数据库里有记录但文件已不存在的迁移
+    for (const row of rows) {
+        if (!migrations.find(m => m.version === row.version)) {
+            status.push({ version: row.version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
         }
-        console.log('✅ Tables created.');
-
-        // ---- 添加索引 ----
-
-
-        console.log('✅ Indexes created.');
-
-        console.log('Database tables initialized successfully');
-    } catch (error) {
-        console.error('Error initializing database:', error);
-        throw error;
     }
-}
\ No newline at end of file
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * 回滚最后一个（或指定版本的）已应用迁移
+ * @param {DB} db - DB服务实例
+ * @param {number} [version] - 指定回滚的版本，默认最后一个
+ * @returns {Promise<Object|null>} 被回滚的迁移，没有可回滚的返回null
+ */
+export async function rollbackMigration(db, version) {
+    const { logger } = db.gl;
+    const migrations = await loadMigrations();
+    const rolled = await withLock(db, async t => {
+        const row = version
+            ? await t.oneOrNone('SELECT version FROM schema_migrations WHERE version = $1', [version])
+            : await t.oneOrNone('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT 1');
+        if (!row) return null;
+        const m = migrations.find(m => m.version === row.version);
+        if (!m) throw new Error(`找不到迁移文件: ${row.version}`);
+        if (!m.down) throw new Error(`迁移不支持回滚: ${m.file}`);
+        logger.info('回滚数据库迁移', { version: m.version, name: m.name });
+        await t.tx(async tx => {
+            await runStep(tx, m.down);
+            await tx.none('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+        });
+        return m;
+    });
+    db.columnTypes?.clear();
+    return rolled;
+}
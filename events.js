@@ -0,0 +1,189 @@
+import { BaseService } from './common/baseService.js';
+
+// 进程内事件总线（gl.events），事件和投递状态保存在 Postgres，重启后未完成的投递会继续
+//   subscribe(event, name, handler, { maxAttempts })  name 在所有订阅者中唯一，用于记录投递状态
+//   publish(event, payload, { key })                   key 相同的事件只发布一次
+// 每个订阅者单独投递、单独重试（指数退避），一个订阅者失败不影响其它订阅者
+export class Events extends BaseService {
+  static deps = ['db'];
+
+  /**
+   * 初始化事件总线
+   * @param {Object} gl - 全局对象
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl) {
+    this.subscribers = new Map(); // name -> { event, handler, maxAttempts }
+    this.pollInterval = (parseInt(process.env.EVENTS_POLL_INTERVAL) || 5) * 1000;
+    this.retryBase = parseInt(process.env.EVENTS_RETRY_BASE) || 10; // 第一次重试间隔（秒），之后翻倍
+    this.maxAttempts = parseInt(process.env.EVENTS_MAX_ATTEMPTS) || 8;
+    this.batch = 20;
+    this.polling = null;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+    return null;
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.polling;
+  }
+
+  /**
+   * 订阅事件
+   * @param {string} event - 事件名
+   * @param {string} name - 订阅者名称（唯一，如 'user.orderPaid'）
+   * @param {Function} handler - async (payload, { event, id, attempt }) => any，抛出异常时重试
+   * @param {Object} options - { maxAttempts }
+   */
+  subscribe(event, name, handler, { maxAttempts = this.maxAttempts } = {}) {
+    if (this.subscribers.has(name)) throw new Error(`重复的事件订阅者: ${name}`);
+    this.subscribers.set(name, { event, handler, maxAttempts });
+  }
+
+  hasSubscribers(event) {
+    return [...this.subscribers.values()].some(s => s.event === event);
+  }
+
+  /**
+   * 发布事件：写入 outbox 并为当前的每个订阅者创建投递记录，然后立即开始投递
+   * @param {string} event - 事件名
+   * @param {Object} payload - 事件数据
+   * @param {Object} options
+   * @param {string} options.key - 幂等键，相同 key 的事件只发布一次
+   * @returns {Promise<Object>} { id, handlers, duplicate }
+   */
+  async publish(event, payload = {}, { key = null } = {}) {
+    const { db, logger } = this.gl;
+    const names = [...this.subscribers].filter(([, s]) => s.event === event).map(([name]) => name);
+    const result = await db.transaction(async client => {
+      const inserted = await client.query(
+        `INSERT INTO event_outbox (event, payload, dedupe_key) VALUES ($1, $2, $3)
+         ON CONFLICT (dedupe_key) DO NOTHING RETURNING id`,
+        [event, payload, key]
+      );
+      if (!inserted.rows.length) {
+        const existing = await client.query('SELECT id FROM event_outbox WHERE dedupe_key = $1', [key]);
+        return { id: existing.rows[0].id, handlers: 0, duplicate: true };
+      }
+      const id = inserted.rows[0].id;
+      for (const name of names) {
+        await client.query('INSERT INTO event_deliveries (outbox_id, handler) VALUES ($1, $2)', [id, name]);
+      }
+      return { id, handlers: names.length, duplicate: false };
+    });
+    logger.info('发布事件', { event, ...result });
+    if (result.handlers) setImmediate(() => this.poll());
+    return result;
+  }
+
+  /**
+   * 投递到期的事件，同一时间只运行一轮；多进程之间用 SKIP LOCKED 分配
+   */
+  poll() {
+    if (!this.polling && this.timer) {
+      this.polling = this.deliverDue()
+        .catch(error => this.gl.logger.error('事件投递失败', { error: error.message }))
+        .finally(() => { this.polling = null; });
+    }
+    return this.polling;
+  }
+
+  async deliverDue() {
+    const { db } = this.gl;
+    for (;;) {
+      // 抢占到期的投递；running 状态超过 locked_until 的视为进程中断，重新投递
+      const rows = await db.findMany(`
+        UPDATE event_deliveries d SET status = 'running', attempts = d.attempts + 1, locked_until = NOW() + interval '5 minutes'
+        FROM event_outbox o
+        WHERE d.outbox_id = o.id AND d.id IN (
+          SELECT id FROM event_deliveries
+          WHERE (status = 'pending' AND next_attempt_at <= NOW()) OR (status = 'running' AND locked_until < NOW())
+          ORDER BY id LIMIT $1 FOR UPDATE SKIP LOCKED
+        )
+        RETURNING d.id, d.handler, d.attempts, o.id AS outbox_id, o.event, o.payload
+      `, [this.batch]);
+      for (const row of rows) await this.deliver(row);
+      if (rows.length < this.batch) return;
+    }
+  }
+
+  async deliver(row) {
+    const { db, logger } = this.gl;
+    const subscriber = this.subscribers.get(row.handler);
+    if (!subscriber) {
+      // 订阅者已不存在（代码变更），稍后再试，超过次数后放弃
+      await this.fail(row, new Error(`订阅者不存在: ${row.handler}`), this.maxAttempts);
+      return;
+    }
+    try {
+      await subscriber.handler(row.payload, { event: row.event, id: row.outbox_id, attempt: row.attempts });
+      await db.update('event_deliveries', { status: 'done', done_at: new Date(), last_error: null, locked_until: null }, { id: row.id });
+    } catch (error) {
+      logger.error('事件处理失败', { event: row.event, handler: row.handler, attempt: row.attempts, error: error.message });
+      await this.fail(row, error, subscriber.maxAttempts);
+    }
+  }
+
+  async fail(row, error, maxAttempts) {
+    const { db, logger } = this.gl;
+    if (row.attempts >= maxAttempts) {
+      await db.update('event_deliveries', { status: 'dead', last_error: error.message, locked_until: null }, { id: row.id });
+      logger.error('事件投递失败次数过多，已放弃', { event: row.event, handler: row.handler, id: row.outbox_id });
+      return;
+    }
+    const delay = this.retryBase * 2 ** (row.attempts - 1);
+    await db.update('event_deliveries', {
+      status: 'pending',
+      last_error: error.message,
+      locked_until: null,
+      next_attempt_at: new Date(Date.now() + delay * 1000)
+    }, { id: row.id });
+  }
+
+  /**
+   * 重新投递放弃的事件
+   * @param {number} id - event_deliveries.id
+   * @returns {Promise<boolean>}
+   */
+  async retry(id) {
+    const row = await this.gl.db.update('event_deliveries',
+      { status: 'pending', attempts: 0, next_attempt_at: new Date() },
+      { id, status: 'dead' });
+    if (row) setImmediate(() => this.poll());
+    return !!row;
+  }
+
+  /**
+   * 注册事件相关的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    // 投递失败的事件
+    app.get('/admin/events/dead', { config: { requireRole: 'admin' } }, async (req, res) => {
+      try {
+        const rows = await this.gl.db.findMany(`
+          SELECT d.id, d.handler, d.attempts, d.last_error, o.event, o.payload, o.created_at
+          FROM event_deliveries d JOIN event_outbox o ON o.id = d.outbox_id
+          WHERE d.status = 'dead' ORDER BY d.id DESC LIMIT 100
+        `);
+        return { result: rows };
+      } catch (error) {
+        this.gl.logger.error('获取失败事件失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    app.post('/admin/events/retry', { config: { requireRole: 'admin' } }, async (req, res) => {
+      try {
+        const { id } = req.body || {};
+        if (!id) return { err: 'missing-id' };
+        return await this.retry(id) ? { result: 'ok' } : { err: 'not-found' };
+      } catch (error) {
+        this.gl.logger.error('重新投递事件失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+  }
+}
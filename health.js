@@ -0,0 +1,89 @@
+import { BaseService } from './common/baseService.js'
+
+// 探活与就绪检查
+//   GET /health          存活（进程能响应即可）
+//   GET /ready           就绪：数据库、Redis、各模块状态，不就绪返回503
+//   GET /health/db       数据库检查 + 连接池
+//   GET /status/db-pool  连接池状态
+export class Health extends BaseService {
+    async init(gl) {
+        this.timeout = parseInt(process.env.HEALTH_TIMEOUT) || 2000
+    }
+    withTimeout(promise, name) {
+        let timer
+        return Promise.race([
+            promise,
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`${name} timeout`)), this.timeout)
+            })
+        ]).finally(() => clearTimeout(timer))
+    }
+    async checkDB() {
+        const { db } = this.gl
+        if (!db) return null
+        const start = Date.now()
+        try {
+            const { version } = await this.withTimeout(db.testConnection(), 'db')
+            return { ok: true, latency: Date.now() - start, version, pool: db.getPoolStatus() }
+        } catch (e) {
+            return { ok: false, error: e.message, pool: db.getPoolStatus() }
+        }
+    }
+    async checkRedis() {
+        const { redis } = this.gl
+        if (!redis) return null
+        const start = Date.now()
+        try {
+            await this.withTimeout(redis.ping(), 'redis')
+            return { ok: true, latency: Date.now() - start }
+        } catch (e) {
+            return { ok: false, error: e.message }
+        }
+    }
+    getServices() {
+        const { services } = this.gl
+        const result = {}
+        if (!services) return result
+        for (const [name, { state, error }] of services.states) {
+            result[name] = { state, optional: !!services.classes.get(name)?.optional }
+            if (error) result[name].error = error
+        }
+        return result
+    }
+    async readiness() {
+        const [db, redis] = await Promise.all([this.checkDB(), this.checkRedis()])
+        const services = this.getServices()
+        const checks = { services }
+        if (db) checks.db = db
+        if (redis) checks.redis = redis
+        // 必需模块未就绪或数据库不可用则不就绪；可选模块（如 redis）异常只标记 degraded
+        const requiredOk = Object.values(services).every(s => s.optional || s.state === 'ready')
+        const ready = requiredOk && (!db || db.ok)
+        const degraded = Object.values(services).some(s => s.state !== 'ready') || (redis && !redis.ok)
+        return { ready, degraded: !!degraded, checks }
+    }
+    async regEndpoints(app) {
+        app.get('/health', async (req, res) => {
+            return { status: 'ok', uptime: Math.round(process.uptime()), pid: process.pid }
+        })
+        app.get('/ready', async (req, res) => {
+            const result = await this.readiness()
+            if (!result.ready) res.code(503)
+            return result
+        })
+        app.get('/health/db', async (req, res) => {
+            const db = await this.checkDB()
+            if (!db) {
+                res.code(503)
+                return { ok: false, error: 'db-not-enabled' }
+            }
+            if (!db.ok) res.code(503)
+            return db
+        })
+        app.get('/status/db-pool', async (req, res) => {
+            const pool = this.gl.db?.getPoolStatus()
+            if (!pool) return { err: 'db-not-enabled' }
+            return { result: pool }
+        })
+    }
+}
@@ -10,8 +10,10 @@ import { fileURLToPath } from 'url';
 
 import { Logger } from './logger.js';
 import { Config } from './config.js';
-import { Util } from './common/util.js';
-import { Pay } from './pay.js';
+import { ServiceLoader } from './common/serviceLoader.js';
+import { checkRules } from './common/rateLimit.js';
+import { createAuthGuard } from './common/authGuard.js';
+import { USER_FROM } from './common/constants.js';
 
 
 dotenv.config({ path: "env" })
@@ -26,8 +28,46 @@ gl.logger = logger
 gl.app = app
 gl.config = Config
 gl.axios = axios
-async function onExit() {
-    console.log("exiting...")
+// 可用的模块（按需加载）
+const services = {
+    util: async () => (await import('./common/util.js')).Util,
+    redis: async () => (await import('./redis.js')).Redis,
+    db: async () => (await import('./db.js')).DB,
+    kv: async () => (await import('./kv.js')).KV,
+    user: async () => (await import('./user.js')).User,
+    pay: async () => (await import('./pay.js')).Pay,
+    health: async () => (await import('./health.js')).Health,
+    admin: async () => (await import('./admin.js')).Admin,
+    mail: async () => (await import('./mail.js')).Mail,
+    oauth: async () => (await import('./oauth.js')).OAuth,
+    mfa: async () => (await import('./mfa.js')).Mfa,
+    webhook: async () => (await import('./webhook.js')).Webhook,
+    events: async () => (await import('./events.js')).Events,
+    subscription: async () => (await import('./subscription.js')).Subscription,
+}
+let exiting = false
+// 优雅退出：停止接收新连接并等待进行中的请求，再按启动的相反顺序关闭各模块
+async function onExit(signal) {
+    if (exiting) return
+    exiting = true
+    console.log("exiting...", signal)
+    const timeout = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000
+    // 兜底：超时仍未退出则强制退出
+    setTimeout(() => process.exit(1), timeout * 2).unref()
+    try {
+        await Promise.race([
+            app.close(),
+            new Promise(resolve => setTimeout(() => {
+                logger.warn('等待请求结束超时，继续关闭', { timeout })
+                resolve()
+            }, timeout).unref())
+        ])
+        await gl.services?.stopAll()
+        logger.info('服务已关闭')
+    } catch (e) {
+        logger.error('退出时出错', { error: e.message })
+    }
+    await logger.flush()
     process.exit(0);
 }
 async function startServer() {
@@ -41,24 +81,14 @@ async function main() {
     const __filename = fileURLToPath(import.meta.url);
     const __dirname = path.dirname(__filename);
     gl.appPath = __dirname
-    await regEndpoints()
-    //create more classes here
-    await Util.create(gl)
-    if (process.env.Modules.indexOf("redis") != -1) {
-        const { Redis } = await import('./redis.js')
-        await Redis.create(gl)
-    }
-    if (process.env.Modules.indexOf("user") != -1) {
-        const { DB } = await import('./db.js')
-        await DB.create(gl)
-        const { User } = await import('./user.js')
-        await User.create(gl)
-    }
-    if (process.env.Modules.indexOf("pay") != -1) {
-        await Pay.create(gl)
+    if (Config.testAuth && process.env.NODE_ENV === 'production') {
+        throw new Error('生产环境不允许开启 TEST_AUTH')
     }
-
-
+    if (Config.testAuth) logger.warn('TEST_AUTH 已开启：可通过 x-test-uid 头或 _testuid 参数以任意用户身份访问')
+    await regEndpoints()
+    gl.services = new ServiceLoader(gl, services)
+    // util / kv / health 总是启用，其余按 Modules 启用，依赖关系由各服务的 static deps 声明
+    await gl.services.startAll(['util', 'kv', 'health', ...Config.modules])
 
     await startServer()
     process.on('SIGINT', onExit);
@@ -71,6 +101,17 @@ async function getRealIP(req, res) {
         }
     })
 }
+// 路由级限流：app.post(url, { config: { rateLimit: { max, window, by } } }, handler)，见 common/rateLimit.js
+async function rateLimitGuard(req, res) {
+    const { rateLimit } = req.routeOptions.config || {}
+    if (!rateLimit || !gl.kv) return
+    const limited = await checkRules({ kv: gl.kv, req, rules: rateLimit })
+    if (limited) {
+        logger.warn('请求过于频繁', { ip: req.ip, uid: req.uid, url: req.url })
+        res.header('retry-after', String(limited.retryAfter))
+        return res.send({ err: 'too-many-requests' })
+    }
+}
 async function regEndpoints() {
     app.addHook('onRequest', getRealIP); //获取真实ip, 在rate-limit之前
 
@@ -85,15 +126,28 @@ async function regEndpoints() {
     app.addHook("preHandler", async (req, res) => {
         const { util } = gl
         console.log(req.url)
-        if (req.query._testuid) {
-            req.uid = Number(req.query._testuid)//req.query.uid
+        // 测试登录：仅在 TEST_AUTH=1 且非生产环境时可用（启动时已校验）
+        const testUid = Config.testAuth && (req.headers['x-test-uid'] || req.query._testuid)
+        if (testUid) {
+            req.uid = Number(testUid)
+            req.testAuth = true
             return
         }
-        const token = util.getCookie({ name: `${process.env.APP_NAME}_ut`, req })
-        if (!token) return
-        const { uid } = await util.decodeToken({ token })
-        if (uid) req.uid = uid
+        // 校验token完整性、过期时间和吊销状态
+        const payload = await util.authenticate(req)
+        if (!payload) return
+        req.uid = payload.uid
+        req.token = payload
+        // 管理员模拟登录的token，响应中明确标记并记录日志
+        if (payload.imp) {
+            req.impersonator = payload.imp
+            res.header('x-impersonated-by', String(payload.imp))
+            logger.info('模拟登录请求', { uid: payload.uid, impersonator: payload.imp, method: req.method, url: req.url })
+        }
+        gl.user?.touchSession({ req, payload }).catch(e => logger.error('更新会话失败', { error: e.message }))
     })
+    app.addHook("preHandler", rateLimitGuard)
+    app.addHook("preHandler", createAuthGuard(gl))
     app.get('/', (req, res) => {
         console.log(req.url)
         return Config.project.name
@@ -107,21 +161,6 @@ async function regEndpoints() {
         console.log(body)
         return "ok"
     })
-    app.post('/notify/_commonapi', async (req, res) => {
-        const body = req.body
-        console.log(body)
-        const { cmd, result } = body
-        const { event, data } = body
-        if (event === 'login_success') {
-            const { user } = gl
-            await user.handleLoginSuccessful_fromCommonAPI(data)
-        }
-        if (event === 'order_paid') {
-            const { user } = gl
-            await user.handleOrderPaid_fromCommonAPI(data)
-        }
-        return "ok"
-    })
     app.get('/start/maxthon', async (req, res) => { //support auto login from maxthon
         const { access_token, g_url, l_url } = req.query
         const { user_id: uid, email } = (await axios.get(`https://api.maxthon.com/util/_getUserByAccessToken?access_token=${access_token}`))?.data
@@ -129,12 +168,21 @@ async function regEndpoints() {
             res.redirect(g_url ? g_url : `https://${process.env.APP_NAME}.com/`)
             return
         }
-        const user = await gl.user.ensureUser({ email, frm: 2 })
-        const key = await gl.util.uidToToken({ uid: user.uid, create: Date.now(), expire: Date.now() + 1000 * 3600 * 24 * 30 })
-        gl.util.setCookie({ req, res, name: `${process.env.APP_NAME}_ut`, value: key, days: 30, secure: true })
+        const { user, err } = await gl.user.loginWithIdentity({ provider: 'maxthon', subject: uid, email, emailVerified: !!email, frm: USER_FROM.MAXTHON })
+        if (err) {
+            logger.warn('/auth/maxthon 登录失败', { uid, err })
+            res.redirect(g_url ? g_url : `https://${process.env.APP_NAME}.com/`)
+            return
+        }
+        const redirect = await gl.user.loginForRedirect({ req, res, user, redirect: l_url ? l_url : `https://${process.env.APP_NAME}.com/dashboard` })
 
-        console.log('/auth/maxthon success key:', key)
-        res.redirect(l_url ? l_url : `https://${process.env.APP_NAME}.com/dashboard`)
+        console.log('/auth/maxthon success uid:', user.uid)
+        res.redirect(redirect)
     })
 }
-main()
+main().catch(async e => {
+    logger.error('启动失败', { error: e.message })
+    await gl.services?.stopAll()
+    await logger.flush()
+    process.exit(1)
+})
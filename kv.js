@@ -0,0 +1,237 @@
+import { BaseService } from './common/baseService.js'
+import { decodeKV } from './common/kvValue.js'
+
+// 统一的 KV 接口（gl.kv），语义与 DB.setKV/getKV 一致：
+//   set(key, value, { ex, nx })  value 为可JSON序列化的值，返回是否写入
+//   get(key, { withTTL })        withTTL 时返回 { value, ttlSec }，ttlSec=-1 表示永久
+//   del / incr / mget / mset / ttl / expire / scan
+// 后端：启用 redis 模块时用 Redis，否则用 Postgres kv 表，测试时可用内存（KV_BACKEND=memory）
+// 生产环境两者都没有启用时启动失败，不会自动使用内存
+export class KV extends BaseService {
+    static deps = ['redis?', 'db?']
+    async init(gl, { backend } = {}) {
+        const { redis, db, logger } = gl
+        backend = backend || process.env.KV_BACKEND
+        if (!backend) {
+            // 生产环境不自动退回内存存储（多进程之间不共享，重启后丢失），需要时显式配置 KV_BACKEND=memory
+            if (!redis && !db && process.env.NODE_ENV === 'production') return '生产环境需要启用 redis 或数据库作为 KV 存储'
+            backend = redis ? 'redis' : db ? 'db' : 'memory'
+        }
+        if (backend === 'redis') {
+            if (!redis) return 'KV_BACKEND=redis 但 redis 模块未启用'
+            this.store = new RedisKV(redis.$r)
+        } else if (backend === 'db') {
+            if (!db) return 'KV_BACKEND=db 但数据库未初始化'
+            this.store = new DbKV(db)
+        } else if (backend === 'memory') {
+            if (process.env.NODE_ENV === 'production') {
+                logger.warn('KV 使用内存存储，多进程之间不共享，重启后丢失')
+            }
+            this.store = new MemoryKV()
+        } else {
+            return `未知的 KV_BACKEND: ${backend}`
+        }
+        this.backend = backend
+        logger.info('KV backend:', backend)
+    }
+    async set(key, value, options) {
+        return this.store.set(key, value, options)
+    }
+    async get(key, options) {
+        return this.store.get(key, options)
+    }
+    async del(key) {
+        return this.store.del(key)
+    }
+    async incr(key, by = 1, options) {
+        return this.store.incr(key, by, options)
+    }
+    async mget(keys) {
+        return this.store.mget(keys)
+    }
+    async mset(entries, options) {
+        return this.store.mset(entries, options)
+    }
+    async ttl(key) {
+        return this.store.ttl(key)
+    }
+    async expire(key, seconds) {
+        return this.store.expire(key, seconds)
+    }
+    async scan(prefix, options) {
+        return this.store.scan(prefix, options)
+    }
+}
+
+function parseTTL(options) {
+    return typeof options === 'number' ? options : options?.ex
+}
+
+export class DbKV {
+    constructor(db) {
+        this.db = db
+    }
+    set(key, value, options) {
+        return this.db.setKV(key, value, options)
+    }
+    get(key, { withTTL = false } = {}) {
+        return this.db.getKV(key, { withTTL })
+    }
+    del(key) {
+        return this.db.delKV(key)
+    }
+    incr(key, by, options) {
+        return this.db.incrKV(key, by, options)
+    }
+    mget(keys) {
+        return this.db.mgetKV(keys)
+    }
+    mset(entries, options) {
+        return this.db.msetKV(entries, options)
+    }
+    ttl(key) {
+        return this.db.ttlKV(key)
+    }
+    expire(key, seconds) {
+        return this.db.expireKV(key, seconds)
+    }
+    scan(prefix, options) {
+        return this.db.scanKV(prefix, options)
+    }
+}
+
+// incr 时只给新建的 key 设置过期时间（与 DB.incrKV 一致）
+const INCR_SCRIPT = `
+local v = redis.call('INCRBY', KEYS[1], ARGV[1])
+if tonumber(ARGV[2]) > 0 and redis.call('PTTL', KEYS[1]) == -1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return v
+`
+
+export class RedisKV {
+    constructor(client) {
+        this.$r = client
+    }
+    async set(key, value, options) {
+        const ttl = parseTTL(options)
+        const args = [key, JSON.stringify(value)]
+        if (ttl !== undefined && ttl !== null) args.push('PX', Math.max(1, Math.round(ttl * 1000)))
+        if (options?.nx) args.push('NX')
+        return (await this.$r.set(...args)) === 'OK'
+    }
+    async get(key, { withTTL = false } = {}) {
+        if (!withTTL) return decodeKV(await this.$r.get(key))
+        const [[, str], [, pttl]] = await this.$r.multi().get(key).pttl(key).exec()
+        if (str === null) return null
+        return { value: decodeKV(str), ttlSec: pttl < 0 ? -1 : Math.ceil(pttl / 1000) }
+    }
+    async del(key) {
+        return this.$r.del(key)
+    }
+    async incr(key, by = 1, { ex } = {}) {
+        const px = ex ? Math.round(ex * 1000) : 0
+        return Number(await this.$r.eval(INCR_SCRIPT, 1, key, by, px))
+    }
+    async mget(keys) {
+        if (!keys.length) return []
+        return (await this.$r.mget(...keys)).map(decodeKV)
+    }
+    async mset(entries, options) {
+        const ttl = parseTTL(options)
+        const list = Array.isArray(entries) ? entries : Object.entries(entries)
+        if (!list.length) return
+        const multi = this.$r.multi()
+        for (const [key, value] of list) {
+            if (ttl !== undefined && ttl !== null) multi.set(key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttl * 1000)))
+            else multi.set(key, JSON.stringify(value))
+        }
+        await multi.exec()
+    }
+    async ttl(key) {
+        return this.$r.ttl(key)
+    }
+    async expire(key, seconds) {
+        if (seconds === null) {
+            return (await this.$r.persist(key)) === 1 || (await this.$r.exists(key)) === 1
+        }
+        return (await this.$r.pexpire(key, Math.max(1, Math.round(seconds * 1000)))) === 1
+    }
+    async scan(prefix, { limit = 100, cursor = null, withValues = false } = {}) {
+        const pattern = prefix.replace(/[*?[\]\\]/g, '\\$&') + '*'
+        const [next, keys] = await this.$r.scan(cursor || '0', 'MATCH', pattern, 'COUNT', limit)
+        const result = { keys }
+        if (withValues) result.values = await this.mget(keys)
+        result.cursor = next === '0' ? null : next
+        return result
+    }
+}
+
+export class MemoryKV {
+    constructor() {
+        this.map = new Map()
+    }
+    entry(key) {
+        const item = this.map.get(key)
+        if (!item) return null
+        if (item.expire !== 0 && item.expire <= Date.now()) {
+            this.map.delete(key)
+            return null
+        }
+        return item
+    }
+    expireAt(ttl) {
+        return ttl !== undefined && ttl !== null ? Date.now() + Math.max(0, ttl) * 1000 : 0
+    }
+    async set(key, value, options) {
+        if (options?.nx && this.entry(key)) return false
+        // 经过一次序列化，保证与其它后端返回的值一致
+        this.map.set(key, { value: JSON.stringify(value), expire: this.expireAt(parseTTL(options)) })
+        return true
+    }
+    async get(key, { withTTL = false } = {}) {
+        const item = this.entry(key)
+        if (!item) return null
+        const value = decodeKV(item.value)
+        if (!withTTL) return value
+        return { value, ttlSec: item.expire === 0 ? -1 : Math.max(0, Math.ceil((item.expire - Date.now()) / 1000)) }
+    }
+    async del(key) {
+        const existed = !!this.entry(key)
+        this.map.delete(key)
+        return existed ? 1 : 0
+    }
+    async incr(key, by = 1, { ex } = {}) {
+        const item = this.entry(key)
+        const value = (item ? Number(decodeKV(item.value)) || 0 : 0) + by
+        this.map.set(key, { value: JSON.stringify(value), expire: item ? item.expire : this.expireAt(ex) })
+        return value
+    }
+    async mget(keys) {
+        return Promise.all(keys.map(key => this.get(key)))
+    }
+    async mset(entries, options) {
+        const list = Array.isArray(entries) ? entries : Object.entries(entries)
+        for (const [key, value] of list) await this.set(key, value, options)
+    }
+    async ttl(key) {
+        const result = await this.get(key, { withTTL: true })
+        return result ? result.ttlSec : -2
+    }
+    async expire(key, seconds) {
+        const item = this.entry(key)
+        if (!item) return false
+        item.expire = seconds === null ? 0 : this.expireAt(seconds)
+        return true
+    }
+    async scan(prefix, { limit = 100, cursor = null, withValues = false } = {}) {
+        const keys = [...this.map.keys()]
+            .filter(key => key.startsWith(prefix) && (!cursor || key > cursor) && this.entry(key))
+            .sort()
+            .slice(0, limit)
+        const result = { keys }
+        if (withValues) result.values = await this.mget(keys)
+        result.cursor = keys.length === limit ? keys[keys.length - 1] : null
+        return result
+    }
+}
@@ -156,6 +156,16 @@ export class Logger {
         this.writeErrorToFile('fatal', ...args);
     }
 
+    /**
+     * 刷新缓冲的日志（退出前调用）
+     */
+    flush() {
+        return new Promise(resolve => {
+            if (typeof this.logger.flush !== 'function') return resolve();
+            this.logger.flush(() => resolve());
+        });
+    }
+
     /**
      * 记录HTTP请求日志
      */
@@ -0,0 +1,184 @@
+import { BaseService } from './common/baseService.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { renderTemplate } from './mailTemplates.js';
+import { hit } from './common/rateLimit.js';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class Mail extends BaseService {
+  static deps = ['kv'];
+
+  /**
+   * 初始化邮件服务
+   * MAIL_TRANSPORT: smtp（SMTP_URL）/ console / file（MAIL_DIR）/ memory，生产环境默认 smtp，其它默认 console
+   * @param {Object} gl - 全局对象
+   * @param {Object} opts - { transport } 可覆盖 MAIL_TRANSPORT
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl, { transport } = {}) {
+    const { logger } = gl;
+    this.from = process.env.MAIL_FROM || `no-reply@${process.env.APP_NAME || 'localhost'}.com`;
+    this.codeTTL = parseInt(process.env.MAIL_CODE_TTL) || 600; // 验证码有效期（秒）
+    this.maxAttempts = parseInt(process.env.MAIL_CODE_MAX_ATTEMPTS) || 5;
+    const type = transport || process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    try {
+      this.transport = await this.createTransport(type);
+    } catch (error) {
+      return `邮件服务初始化失败: ${error.message}`;
+    }
+    this.transportType = type;
+    logger.info('邮件发送方式:', type);
+    return null;
+  }
+
+  async createTransport(type) {
+    const { logger } = this.gl;
+    if (type === 'smtp') {
+      if (!process.env.SMTP_URL) throw new Error('未配置 SMTP_URL');
+      const { default: nodemailer } = await import('nodemailer');
+      const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+      return { send: msg => transporter.sendMail(msg), close: () => transporter.close() };
+    }
+    if (type === 'console') {
+      return { send: async msg => logger.info('[mail]', msg.to, msg.subject, '\n' + msg.text) };
+    }
+    if (type === 'file') {
+      const dir = process.env.MAIL_DIR || './mails';
+      fs.mkdirSync(dir, { recursive: true });
+      return {
+        send: async msg => {
+          const file = path.join(dir, `${Date.now()}-${msg.to.replace(/[^\w.@-]/g, '_')}.json`);
+          fs.writeFileSync(file, JSON.stringify(msg, null, 2));
+        }
+      };
+    }
+    if (type === 'memory') {
+      // 测试用：发送的邮件保存在 this.outbox
+      this.outbox = [];
+      return { send: async msg => { this.outbox.push(msg); } };
+    }
+    throw new Error(`未知的 MAIL_TRANSPORT: ${type}`);
+  }
+
+  async close() {
+    if (this.transport?.close) this.transport.close();
+  }
+
+  isValidEmail(email) {
+    return EMAIL_RE.test(email);
+  }
+
+  /**
+   * 按模板发送邮件
+   * @param {Object} params
+   * @param {string} params.to - 收件人
+   * @param {string} params.template - 模板名（见 mailTemplates.js）
+   * @param {string} params.lang - 语言
+   * @param {Object} params.vars - 模板变量
+   */
+  async send({ to, template, lang = 'en', vars = {} }) {
+    const { subject, text } = renderTemplate(template, lang, { app: process.env.APP_NAME, ...vars });
+    await this.transport.send({ from: this.from, to, subject, text });
+    this.gl.logger.info('邮件已发送', { to, template });
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  /**
+   * 生成并发送一次性验证码（保存验证码哈希，重复发送会使旧验证码失效）
+   * @param {Object} params
+   * @param {string} params.email - 邮箱
+   * @param {string} params.lang - 语言
+   * @param {string} params.purpose - 用途，不同用途的验证码互不通用
+   * @returns {Promise<Object>} { code: 0 } 或 { code, err }
+   */
+  async sendEmailCode({ email, lang = 'en', purpose = 'login' }) {
+    const { kv } = this.gl;
+    email = this.gl.util.normalizeEmail(email);
+    if (!this.isValidEmail(email)) return { code: 100, err: 'invalid-email' };
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await kv.set(`mail_code_${purpose}_${email}`, { hash: this.hashCode(code) }, { ex: this.codeTTL });
+    await kv.del(`mail_code_attempts_${purpose}_${email}`);
+    await this.send({ to: email, template: `${purpose}_code`, lang, vars: { code, minutes: Math.round(this.codeTTL / 60) } });
+    return { code: 0 };
+  }
+
+  /**
+   * 校验验证码，成功后验证码失效；错误次数超过上限后验证码作废
+   * @param {Object} params - { email, code, purpose }
+   * @returns {Promise<Object>} { code: 0 } 或 { code, err }
+   */
+  async verifyEmailCode({ email, code, purpose = 'login' }) {
+    const { kv } = this.gl;
+    email = this.gl.util.normalizeEmail(email);
+    if (!email || !code) return { code: 100, err: 'missing-email-or-code' };
+    const key = `mail_code_${purpose}_${email}`;
+    const stored = await kv.get(key);
+    if (!stored) return { code: 101, err: 'code-expired' };
+    const attempts = await kv.incr(`mail_code_attempts_${purpose}_${email}`, 1, { ex: this.codeTTL });
+    if (attempts > this.maxAttempts) {
+      await kv.del(key);
+      return { code: 102, err: 'too-many-attempts' };
+    }
+    const ok = crypto.timingSafeEqual(Buffer.from(stored.hash, 'hex'), Buffer.from(this.hashCode(code), 'hex'));
+    if (!ok) return { code: 103, err: 'invalid-code' };
+    await kv.del(key);
+    await kv.del(`mail_code_attempts_${purpose}_${email}`);
+    return { code: 0 };
+  }
+
+  /**
+   * 邮件语言：请求参数 lang > 用户 info.lang > Accept-Language
+   * @param {Object} params - { email, req }
+   * @returns {Promise<string>}
+   */
+  async getLang({ email, req }) {
+    if (req?.body?.lang) return req.body.lang;
+    if (email && this.gl.user) {
+      const user = await this.gl.user.getUser({ email });
+      if (user?.info?.lang) return user.info.lang;
+    }
+    return req?.headers['accept-language']?.split(',')[0] || 'en';
+  }
+
+  /**
+   * 按邮箱等自定义 key 限流（见 common/rateLimit.js）
+   * @returns {Promise<boolean>} 是否超过限制
+   */
+  async overLimit(key, max, seconds) {
+    return (await hit(this.gl.kv, `mail_${key}`, max, seconds)).limited;
+  }
+
+  /**
+   * 注册邮件相关的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    // 发送登录验证码（配合 /user/verifyCode 登录）
+    app.post('/mail/sendCode', async (req, res) => {
+      try {
+        const { email } = req.body || {};
+        const normalized = this.gl.util.normalizeEmail(email);
+        if (!this.isValidEmail(normalized)) {
+          return { err: 'invalid-email' };
+        }
+        // 同一邮箱每分钟1次、每小时10次，同一IP每小时30次
+        if (await this.overLimit(`email_1m_${normalized}`, 1, 60) ||
+          await this.overLimit(`email_1h_${normalized}`, 10, 3600) ||
+          await this.overLimit(`ip_1h_${req.ip}`, 30, 3600)) {
+          return { err: 'too-many-requests' };
+        }
+        const lang = await this.getLang({ email: normalized, req });
+        const result = await this.sendEmailCode({ email: normalized, lang });
+        return result.code === 0 ? { result: 'ok' } : { err: result.err };
+      } catch (error) {
+        this.gl.logger.error('发送验证码失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+  }
+}
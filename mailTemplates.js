@@ -0,0 +1,80 @@
+// 邮件模板：{ 模板名: { 语言: { subject, text } } }，{{变量}} 会被替换
+// 找不到对应语言时使用 en
+export const templates = {
+    login_code: {
+        en: {
+            subject: 'Your {{app}} verification code',
+            text: 'Your verification code is {{code}}. It expires in {{minutes}} minutes.\n\nIf you did not request this code, you can ignore this email.'
+        },
+        zh: {
+            subject: '{{app}} 验证码',
+            text: '您的验证码是 {{code}}，{{minutes}} 分钟内有效。\n\n如果不是您本人操作，请忽略此邮件。'
+        }
+    },
+    password_reset: {
+        en: {
+            subject: 'Reset your {{app}} password',
+            text: 'Use the link below to reset your password. It expires in {{minutes}} minutes and can be used only once.\n\n{{link}}\n\nIf you did not request a password reset, you can ignore this email.'
+        },
+        zh: {
+            subject: '重置 {{app}} 密码',
+            text: '请使用下面的链接重置密码，{{minutes}} 分钟内有效，只能使用一次。\n\n{{link}}\n\n如果不是您本人操作，请忽略此邮件。'
+        }
+    },
+    verify_email_code: {
+        en: {
+            subject: 'Verify your {{app}} email address',
+            text: 'Your email verification code is {{code}}. It expires in {{minutes}} minutes.\n\nIf you did not create an account, you can ignore this email.'
+        },
+        zh: {
+            subject: '验证您的 {{app}} 邮箱',
+            text: '您的邮箱验证码是 {{code}}，{{minutes}} 分钟内有效。\n\n如果不是您本人注册，请忽略此邮件。'
+        }
+    },
+    email_change_code: {
+        en: {
+            subject: 'Confirm your new {{app}} email address',
+            text: 'Your code to confirm this email address is {{code}}. It expires in {{minutes}} minutes.\n\nIf you did not request an email change, you can ignore this email.'
+        },
+        zh: {
+            subject: '确认您的 {{app}} 新邮箱',
+            text: '确认新邮箱的验证码是 {{code}}，{{minutes}} 分钟内有效。\n\n如果不是您本人操作，请忽略此邮件。'
+        }
+    },
+    email_changed: {
+        en: {
+            subject: 'Your {{app}} email address was changed',
+            text: 'The email address of your account has been changed to {{email}}.\n\nIf you did not make this change, please contact support immediately.'
+        },
+        zh: {
+            subject: '您的 {{app}} 邮箱已修改',
+            text: '您账号的邮箱已修改为 {{email}}。\n\n如果不是您本人操作，请立即联系客服。'
+        }
+    },
+    account_locked: {
+        en: {
+            subject: 'Sign-in to your {{app}} account was locked',
+            text: 'There were too many failed sign-in attempts on your account, so password sign-in has been temporarily locked.\n\nIf it was you, use the link below to unlock it now:\n\n{{link}}\n\nIf it was not you, we recommend resetting your password.'
+        },
+        zh: {
+            subject: '您的 {{app}} 账号登录已被锁定',
+            text: '您的账号密码错误次数过多，密码登录已被暂时锁定。\n\n如果是您本人操作，可以使用下面的链接立即解锁：\n\n{{link}}\n\n如果不是您本人操作，建议您重置密码。'
+        }
+    }
+}
+
+/**
+ * 渲染邮件模板
+ * @param {string} name - 模板名
+ * @param {string} lang - 语言，如 'zh'、'zh-CN'、'en'
+ * @param {Object} vars - 模板变量
+ * @returns {Object} { subject, text }
+ */
+export function renderTemplate(name, lang = 'en', vars = {}) {
+    const tpl = templates[name]
+    if (!tpl) throw new Error(`邮件模板不存在: ${name}`)
+    const base = String(lang).toLowerCase().split(/[-_]/)[0]
+    const { subject, text } = tpl[lang] || tpl[base] || tpl.en
+    const fill = str => str.replace(/\{\{(\w+)\}\}/g, (_, key) => vars[key] ?? '')
+    return { subject: fill(subject), text: fill(text) }
+}
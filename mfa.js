@@ -0,0 +1,312 @@
+import { BaseService } from './common/baseService.js';
+import crypto from 'crypto';
+import { generateSecret, verifyTotp, otpauthUri } from './common/totp.js';
+import { USER_STATUS } from './common/constants.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const PENDING_TTL = 300; // 两步登录中间状态的有效期（秒）
+const PENDING_MAX_ATTEMPTS = 5;
+const PENDING_COOKIE = 'mfa_pending'; // 跳转式登录时保存 pendingToken，只发给 /user/login/2fa
+
+function sha256(str) {
+  return crypto.createHash('sha256').update(String(str)).digest('hex');
+}
+
+export class Mfa extends BaseService {
+  static deps = ['db', 'kv', 'user'];
+
+  /**
+   * 初始化两步验证服务
+   * @param {Object} gl - 全局对象
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl) {
+    this.issuer = process.env.MFA_ISSUER || process.env.APP_NAME || 'rest_template';
+    // 同一用户的验证码错误次数（跨 pendingToken 累计），超过后锁定 lockSeconds 秒
+    this.maxFailures = parseInt(process.env.MFA_MAX_FAILURES) || 10;
+    this.lockSeconds = parseInt(process.env.MFA_LOCK_SECONDS) || 900;
+    return null;
+  }
+
+  async getRecord(uid) {
+    return this.gl.db.findOne('SELECT * FROM user_mfa WHERE uid = $1', [uid]);
+  }
+
+  /**
+   * 是否已启用两步验证
+   * @param {number} uid - 用户ID
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(uid) {
+    const record = await this.getRecord(uid);
+    return !!record?.enabled_at;
+  }
+
+  /**
+   * 开始设置：生成新密钥（未确认前不生效），已启用时需先关闭
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Object>} { secret, uri } 或 { err }
+   */
+  async setup(uid) {
+    const { db, user } = this.gl;
+    const info = await user.getUser({ uid });
+    if (!info) return { err: 'user-not-found' };
+    if (await this.isEnabled(uid)) return { err: '2fa-already-enabled' };
+    const secret = generateSecret();
+    await db.upsert('user_mfa', { uid, secret, last_counter: 0 }, 'uid');
+    return { secret, uri: otpauthUri({ secret, account: info.email, issuer: this.issuer }) };
+  }
+
+  /**
+   * 用验证器中的验证码确认启用，返回恢复码（只显示这一次）
+   * @param {number} uid - 用户ID
+   * @param {string} code - 验证码
+   * @returns {Promise<Object>} { recoveryCodes } 或 { err, retryAfter }
+   */
+  async enable(uid, code) {
+    const { db, logger } = this.gl;
+    const record = await this.getRecord(uid);
+    if (!record) return { err: '2fa-not-setup' };
+    if (record.enabled_at) return { err: '2fa-already-enabled' };
+    const failed = await this.checkCode(uid, () => this.useTotp(record, code));
+    if (failed) return failed;
+    await db.update('user_mfa', { enabled_at: new Date() }, { uid });
+    const recoveryCodes = await this.createRecoveryCodes(uid);
+    logger.info('启用两步验证', { uid });
+    return { recoveryCodes };
+  }
+
+  /**
+   * 关闭两步验证（需要验证码或恢复码）
+   * @returns {Promise<Object>} { result } 或 { err, retryAfter }
+   */
+  async disable(uid, code) {
+    const { db, logger } = this.gl;
+    const failed = await this.checkCode(uid, () => this.verify(uid, code));
+    if (failed) return failed;
+    await db.delete('user_recovery_codes', { uid });
+    await db.delete('user_mfa', { uid });
+    logger.info('关闭两步验证', { uid });
+    return { result: 'ok' };
+  }
+
+  /**
+   * 重新生成恢复码，旧的恢复码全部作废（需要验证码）
+   * @returns {Promise<Object>} { recoveryCodes } 或 { err, retryAfter }
+   */
+  async regenerateRecoveryCodes(uid, code) {
+    const record = await this.getRecord(uid);
+    if (!record?.enabled_at) return { err: '2fa-not-enabled' };
+    const failed = await this.checkCode(uid, () => this.useTotp(record, code));
+    if (failed) return failed;
+    const recoveryCodes = await this.createRecoveryCodes(uid);
+    this.gl.logger.info('重新生成恢复码', { uid });
+    return { recoveryCodes };
+  }
+
+  async createRecoveryCodes(uid) {
+    const { db } = this.gl;
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    await db.transaction(async client => {
+      await client.query('DELETE FROM user_recovery_codes WHERE uid = $1', [uid]);
+      for (const code of codes) {
+        await client.query('INSERT INTO user_recovery_codes (uid, code_hash) VALUES ($1, $2)', [uid, sha256(code)]);
+      }
+    });
+    return codes;
+  }
+
+  /**
+   * 校验 TOTP 验证码，同一个时间片的验证码只能使用一次
+   */
+  async useTotp(record, code) {
+    const counter = verifyTotp(record.secret, code);
+    if (counter === null) return false;
+    const updated = await this.gl.db.findOne(
+      'UPDATE user_mfa SET last_counter = $2 WHERE uid = $1 AND last_counter < $2 RETURNING uid',
+      [record.uid, counter]
+    );
+    return !!updated;
+  }
+
+  /**
+   * 校验验证码或恢复码（恢复码使用后作废）
+   * @param {number} uid - 用户ID
+   * @param {string} code - 6位验证码或恢复码
+   * @returns {Promise<boolean>}
+   */
+  async verify(uid, code) {
+    const { db, logger } = this.gl;
+    const record = await this.getRecord(uid);
+    if (!record?.enabled_at || !code) return false;
+    if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) return this.useTotp(record, code);
+    const used = await db.findOne(
+      'UPDATE user_recovery_codes SET used_at = NOW() WHERE uid = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+      [uid, sha256(String(code).trim().toLowerCase())]
+    );
+    if (used) logger.info('使用恢复码登录', { uid });
+    return !!used;
+  }
+
+  /**
+   * 按用户限制验证码错误次数（两步登录和启用、关闭、重新生成恢复码共用），超过 maxFailures 后锁定 lockSeconds 秒
+   * 锁定期间不再校验验证码，校验成功时清除计数
+   * @param {number} uid - 用户ID
+   * @param {Function} check - 校验验证码，返回 Promise<boolean>
+   * @returns {Promise<Object|null>} 失败时返回 { err, retryAfter }，成功返回null
+   */
+  async checkCode(uid, check) {
+    const { kv, logger } = this.gl;
+    const failKey = `mfa_fail_${uid}`;
+    if (await kv.get(failKey) >= this.maxFailures) return { err: '2fa-locked', retryAfter: await kv.ttl(failKey) };
+    if (!await check()) {
+      const failures = await kv.incr(failKey, 1, { ex: this.lockSeconds });
+      if (failures >= this.maxFailures) logger.warn('两步验证错误次数过多，已锁定', { uid, failures });
+      return { err: 'invalid-code' };
+    }
+    await kv.del(failKey);
+    return null;
+  }
+
+  /**
+   * 密码正确后创建两步登录的中间状态，返回 pendingToken
+   * @param {Object} params - { uid }
+   * @returns {Promise<string>}
+   */
+  async createChallenge({ uid }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.gl.kv.set(`mfa_pending_${sha256(token)}`, { uid }, { ex: PENDING_TTL });
+    return token;
+  }
+
+  /**
+   * 把 pendingToken 写入 HttpOnly cookie（跳转式登录无法在响应中返回 pendingToken）
+   * @param {Object} params - { req, res, pendingToken }
+   */
+  setPendingCookie({ req, res, pendingToken }) {
+    this.gl.util.setCookie({ req, res, name: PENDING_COOKIE, value: pendingToken, path: '/user/login/2fa', days: PENDING_TTL / 86400, httpOnly: true, sameSite: 'lax' });
+  }
+
+  /**
+   * 用验证码完成两步登录，错误次数过多后 pendingToken 作废
+   * 错误次数同时按用户累计，重新输入密码拿到新的 pendingToken 也不能继续尝试，锁定期间返回 retryAfter
+   * @param {Object} params - { pendingToken, code }
+   * @returns {Promise<Object>} { uid } 或 { err, retryAfter }
+   */
+  async completeChallenge({ pendingToken, code }) {
+    const { kv } = this.gl;
+    const key = `mfa_pending_${sha256(pendingToken)}`;
+    const pending = await kv.get(key);
+    if (!pending) return { err: 'login-expired' };
+    const attempts = await kv.incr(`${key}_attempts`, 1, { ex: PENDING_TTL });
+    if (attempts > PENDING_MAX_ATTEMPTS) {
+      await kv.del(key);
+      return { err: 'too-many-attempts' };
+    }
+    const failed = await this.checkCode(pending.uid, () => this.verify(pending.uid, code));
+    if (failed) {
+      if (failed.err === '2fa-locked') await kv.del(key);
+      return failed;
+    }
+    // 只允许完成一次
+    if (!await kv.del(key)) return { err: 'login-expired' };
+    return pending;
+  }
+
+  async recoveryCodesLeft(uid) {
+    const row = await this.gl.db.findOne(
+      'SELECT count(*)::int AS n FROM user_recovery_codes WHERE uid = $1 AND used_at IS NULL',
+      [uid]
+    );
+    return row.n;
+  }
+
+  /**
+   * 注册两步验证相关的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    const auth = { config: { requireAuth: true } };
+    // 修改两步验证设置的接口，模拟登录时不能调用
+    const owner = { config: { requireAuth: true, denyImpersonation: true } };
+    // 验证码被锁定时带上 retry-after 头
+    const fail = (res, { err, retryAfter }) => {
+      if (retryAfter > 0) res.header('retry-after', String(retryAfter));
+      return { err };
+    };
+
+    app.get('/user/2fa/status', auth, async (req, res) => {
+      try {
+        const enabled = await this.isEnabled(req.uid);
+        return { result: { enabled, recoveryCodesLeft: enabled ? await this.recoveryCodesLeft(req.uid) : 0 } };
+      } catch (error) {
+        this.gl.logger.error('获取两步验证状态失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 生成密钥，返回 otpauth 地址用于扫码
+    app.post('/user/2fa/setup', owner, async (req, res) => {
+      try {
+        const { err, ...result } = await this.setup(req.uid);
+        return err ? { err } : { result };
+      } catch (error) {
+        this.gl.logger.error('设置两步验证失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    app.post('/user/2fa/enable', owner, async (req, res) => {
+      try {
+        const { err, retryAfter, ...result } = await this.enable(req.uid, req.body?.code);
+        return err ? fail(res, { err, retryAfter }) : { result };
+      } catch (error) {
+        this.gl.logger.error('启用两步验证失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    app.post('/user/2fa/disable', owner, async (req, res) => {
+      try {
+        const { err, retryAfter, result } = await this.disable(req.uid, req.body?.code);
+        return err ? fail(res, { err, retryAfter }) : { result };
+      } catch (error) {
+        this.gl.logger.error('关闭两步验证失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    app.post('/user/2fa/recoveryCodes', owner, async (req, res) => {
+      try {
+        const { err, retryAfter, ...result } = await this.regenerateRecoveryCodes(req.uid, req.body?.code);
+        return err ? fail(res, { err, retryAfter }) : { result };
+      } catch (error) {
+        this.gl.logger.error('重新生成恢复码失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 两步登录第二步：/user/login 返回的 pendingToken（跳转式登录时在 cookie 中）+ 验证码或恢复码
+    app.post('/user/login/2fa', async (req, res) => {
+      try {
+        const { user, util } = this.gl;
+        const { code } = req.body || {};
+        const pendingToken = req.body?.pendingToken || util.getCookie({ req, name: PENDING_COOKIE });
+        if (!pendingToken || !code) return { err: 'missing-token-or-code' };
+        const pending = await this.completeChallenge({ pendingToken, code });
+        if (pending.err) return fail(res, pending);
+        const info = await user.getUser({ uid: pending.uid });
+        if (!info || info.status !== USER_STATUS.ACTIVE) return { err: 'user-disabled' };
+        await user.login({ req, res, user: info });
+        if (util.getCookie({ req, name: PENDING_COOKIE })) util.clearCookie({ req, res, name: PENDING_COOKIE, path: '/user/login/2fa' });
+        return { result: info };
+      } catch (error) {
+        this.gl.logger.error('两步登录失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+  }
+}
@@ -0,0 +1,43 @@
+// 数据库迁移命令行工具
+// node migrate.js status        查看已应用 / 待应用的迁移
+// node migrate.js up            执行所有待应用的迁移
+// node migrate.js down [版本号]  回滚最后一个（或指定版本的）迁移
+import dotenv from "dotenv";
+import { Logger } from './logger.js';
+import { DB } from './db.js';
+import { runMigrations, migrationStatus, rollbackMigration } from './dbInit.js';
+
+dotenv.config({ path: "env" })
+const gl = {
+    logger: new Logger({ serviceName: process.env.APP_NAME || 'rest-template', logDir: process.env.LOG_DIR || './logs' })
+}
+
+async function main() {
+    const [cmd = 'status', arg] = process.argv.slice(2)
+    const db = await DB.create(gl, { migrate: false })
+    try {
+        if (cmd === 'status') {
+            const status = await migrationStatus(db)
+            for (const m of status) {
+                const flag = m.applied ? '✅ applied' : '⏳ pending'
+                const at = m.applied_at ? new Date(m.applied_at).toISOString() : ''
+                console.log(`${String(m.version).padStart(4, '0')}  ${flag}  ${m.name}  ${at}${m.missing ? '  (文件缺失)' : ''}`)
+            }
+        } else if (cmd === 'up') {
+            const applied = await runMigrations(db)
+            console.log(applied.length ? `已应用 ${applied.length} 个迁移` : '没有待应用的迁移')
+        } else if (cmd === 'down') {
+            const m = await rollbackMigration(db, arg ? parseInt(arg) : undefined)
+            console.log(m ? `已回滚: ${m.file}` : '没有可回滚的迁移')
+        } else {
+            console.log('用法: node migrate.js [status|up|down [版本号]]')
+            process.exitCode = 1
+        }
+    } catch (e) {
+        console.error('迁移失败:', e.message)
+        process.exitCode = 1
+    } finally {
+        await db.close()
+    }
+}
+main()
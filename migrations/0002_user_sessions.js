@@ -0,0 +1,19 @@
+// 登录会话，id 为登录token的 jti
+export const up = `
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id TEXT PRIMARY KEY,
+  uid BIGINT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  last_seen_at TIMESTAMPTZ DEFAULT now(),
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_uid ON user_sessions(uid);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+`
+
+export const down = `
+DROP TABLE IF EXISTS user_sessions;
+`
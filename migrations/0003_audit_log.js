@@ -0,0 +1,19 @@
+// 管理操作审计日志（模拟登录等）
+export const up = `
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_uid BIGINT,
+  action TEXT NOT NULL,
+  target_uid BIGINT,
+  ip TEXT,
+  meta JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_uid ON audit_log(actor_uid);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target_uid ON audit_log(target_uid);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+`
+
+export const down = `
+DROP TABLE IF EXISTS audit_log;
+`
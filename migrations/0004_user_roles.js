@@ -0,0 +1,10 @@
+// 用户角色，权限定义见 Config.roles
+export const up = `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_users_roles ON users USING GIN (roles);
+`
+
+export const down = `
+DROP INDEX IF EXISTS idx_users_roles;
+ALTER TABLE users DROP COLUMN IF EXISTS roles;
+`
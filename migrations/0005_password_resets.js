@@ -0,0 +1,17 @@
+// 找回密码的重置令牌，只保存令牌的 sha256，used_at 不为空表示已使用
+export const up = `
+CREATE TABLE IF NOT EXISTS password_resets (
+  id BIGSERIAL PRIMARY KEY,
+  uid BIGINT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  ip TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_password_resets_uid ON password_resets(uid);
+`
+
+export const down = `
+DROP TABLE IF EXISTS password_resets;
+`
@@ -0,0 +1,9 @@
+// 邮箱验证状态。已有用户不按 frm 回填：frm 曾由 /user/register 的客户端指定，不能证明邮箱来自第三方身份
+// 第三方用户下次通过已验证邮箱的第三方登录时标记为已验证（见 User.loginWithIdentity）
+export const up = `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT false;
+`
+
+export const down = `
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified;
+`
@@ -0,0 +1,19 @@
+// 第三方登录身份：provider + subject（对方的用户ID）唯一对应一个用户
+export const up = `
+CREATE TABLE IF NOT EXISTS user_identities (
+  id BIGSERIAL PRIMARY KEY,
+  uid BIGINT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  email TEXT,
+  profile JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT now(),
+  last_login_at TIMESTAMPTZ,
+  UNIQUE (provider, subject)
+);
+CREATE INDEX IF NOT EXISTS idx_user_identities_uid ON user_identities(uid);
+`
+
+export const down = `
+DROP TABLE IF EXISTS user_identities;
+`
@@ -0,0 +1,17 @@
+// 把已有用户的 frm 转为 user_identities（1=google, 2=maxthon, 3=email，见 USER_FROM）
+// commonAPI 登录没有保存对方的用户ID，用邮箱作为 subject，与 handleOTT 一致
+export const up = `
+INSERT INTO user_identities (uid, provider, subject, email, profile)
+SELECT uid,
+       CASE frm WHEN 1 THEN 'google' WHEN 2 THEN 'maxthon' WHEN 3 THEN 'email' END,
+       lower(email),
+       email,
+       '{"migrated": true}'
+FROM users
+WHERE frm IN (1, 2, 3) AND email <> 'non-exist@non-exist.ooo'
+ON CONFLICT (provider, subject) DO NOTHING;
+`
+
+export const down = `
+DELETE FROM user_identities WHERE profile @> '{"migrated": true}';
+`
@@ -0,0 +1,23 @@
+// 两步验证：TOTP 密钥（enabled_at 为空表示尚未确认启用）和一次性恢复码（只保存 sha256）
+export const up = `
+CREATE TABLE IF NOT EXISTS user_mfa (
+  uid BIGINT PRIMARY KEY REFERENCES users(uid) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  last_counter BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  enabled_at TIMESTAMPTZ
+);
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id BIGSERIAL PRIMARY KEY,
+  uid BIGINT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_uid ON user_recovery_codes(uid);
+`
+
+export const down = `
+DROP TABLE IF EXISTS user_recovery_codes;
+DROP TABLE IF EXISTS user_mfa;
+`
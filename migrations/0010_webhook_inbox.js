@@ -0,0 +1,22 @@
+// 收到的 webhook 事件，(source, event_id) 唯一用于幂等；未知事件保留以便排查和重放
+// status: received / processing / processed / failed / unhandled
+export const up = `
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+  id BIGSERIAL PRIMARY KEY,
+  source TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event TEXT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received',
+  attempts INT NOT NULL DEFAULT 0,
+  error TEXT,
+  received_at TIMESTAMPTZ DEFAULT now(),
+  processed_at TIMESTAMPTZ,
+  UNIQUE (source, event_id)
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_inbox_status ON webhook_inbox(status);
+`
+
+export const down = `
+DROP TABLE IF EXISTS webhook_inbox;
+`
@@ -0,0 +1,29 @@
+// 事件总线：event_outbox 保存发布的事件（dedupe_key 用于幂等），event_deliveries 记录每个订阅者的投递状态
+// status: pending / running / done / dead（超过重试次数）
+export const up = `
+CREATE TABLE IF NOT EXISTS event_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  dedupe_key TEXT UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS event_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  outbox_id BIGINT NOT NULL REFERENCES event_outbox(id) ON DELETE CASCADE,
+  handler TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT now(),
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  done_at TIMESTAMPTZ,
+  UNIQUE (outbox_id, handler)
+);
+CREATE INDEX IF NOT EXISTS idx_event_deliveries_due ON event_deliveries(status, next_attempt_at);
+`
+
+export const down = `
+DROP TABLE IF EXISTS event_deliveries;
+DROP TABLE IF EXISTS event_outbox;
+`
@@ -0,0 +1,37 @@
+// 订阅：每个用户一条，plan 为 Config.plans 中的套餐ID
+// status: trialing / active / past_due / canceled，current_period_end 之前有效（canceled 除外）
+// 从 users.info.pay 迁移未过期的订阅（只迁移能对应到套餐目录的记录，delta 为旧的升级补偿时间）
+export const up = `
+CREATE TABLE IF NOT EXISTS subscriptions (
+  uid BIGINT PRIMARY KEY REFERENCES users(uid) ON DELETE CASCADE,
+  plan TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  current_period_start TIMESTAMPTZ,
+  current_period_end TIMESTAMPTZ NOT NULL,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+  canceled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_plan ON subscriptions(plan, status, current_period_end);
+
+INSERT INTO subscriptions (uid, plan, status, current_period_end)
+SELECT uid, plan, 'active', to_timestamp(end_time)
+FROM (
+  SELECT uid,
+         CASE
+           WHEN info->'pay'->>'pid' IN ('plan_plus', 'plan_plus_year') THEN info->'pay'->>'pid'
+           WHEN info->'pay'->>'name' = 'Plus Plan Yearly' THEN 'plan_plus_year'
+           WHEN info->'pay'->>'name' = 'Plus Plan Monthly' THEN 'plan_plus'
+         END AS plan,
+         (info->'pay'->>'endTime')::bigint + COALESCE((info->>'delta')::bigint, 0) AS end_time
+  FROM users
+  WHERE info->'pay'->>'endTime' ~ '^[0-9]+$'
+) p
+WHERE plan IS NOT NULL AND to_timestamp(end_time) > now()
+ON CONFLICT (uid) DO NOTHING;
+`
+
+export const down = `
+DROP TABLE IF EXISTS subscriptions;
+`
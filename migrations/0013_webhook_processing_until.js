@@ -0,0 +1,8 @@
+// webhook_inbox 处理中的锁超时：进程在 processing 状态中断时，超过 processing_until 的记录可以重新抢占
+export const up = `
+ALTER TABLE webhook_inbox ADD COLUMN IF NOT EXISTS processing_until TIMESTAMPTZ;
+`
+
+export const down = `
+ALTER TABLE webhook_inbox DROP COLUMN IF EXISTS processing_until;
+`
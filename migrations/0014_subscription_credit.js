@@ -0,0 +1,8 @@
+// 更换套餐时旧套餐剩余价值折算的时间（秒），之后每次续费都加在渠道给出的到期时间上
+export const up = `
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS credit_seconds BIGINT NOT NULL DEFAULT 0;
+`
+
+export const down = `
+ALTER TABLE subscriptions DROP COLUMN IF EXISTS credit_seconds;
+`
@@ -0,0 +1,8 @@
+// 按 lower(email) 查询用户（邮箱统一小写保存，旧数据可能有大写）
+export const up = `
+CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users (lower(email));
+`
+
+export const down = `
+DROP INDEX IF EXISTS idx_users_email_lower;
+`
@@ -0,0 +1,312 @@
+import { BaseService } from './common/baseService.js';
+import crypto from 'crypto';
+import { USER_FROM } from './common/constants.js';
+
+// 内置的登录方式，clientId / clientSecret 来自环境变量 OAUTH_<NAME>_CLIENT_ID / OAUTH_<NAME>_CLIENT_SECRET
+// oidc: true 时校验 id_token 并从中取用户信息，否则调用 profile() 获取
+export const PROVIDERS = {
+  google: {
+    frm: USER_FROM.GOOGLE,
+    oidc: true,
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuer: ['https://accounts.google.com', 'accounts.google.com'],
+    scope: 'openid email profile'
+  },
+  github: {
+    frm: USER_FROM.GITHUB,
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    scope: 'read:user user:email',
+    async profile({ axios, accessToken }) {
+      const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/vnd.github+json' };
+      const { data: user } = await axios.get('https://api.github.com/user', { headers });
+      const { data: emails } = await axios.get('https://api.github.com/user/emails', { headers });
+      const primary = emails.find(e => e.primary && e.verified) || emails.find(e => e.verified);
+      return {
+        subject: String(user.id),
+        email: primary?.email || null,
+        emailVerified: !!primary,
+        name: user.name || user.login,
+        avatar: user.avatar_url
+      };
+    }
+  }
+};
+
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const STATE_TTL = 600; // 登录流程的有效期（秒）
+const STATE_COOKIE = 'oauth_state'; // state 的哈希，回调时校验是同一个浏览器发起的登录
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+export class OAuth extends BaseService {
+  static serviceName = 'oauth';
+  static deps = ['kv', 'user'];
+
+  /**
+   * 初始化第三方登录，只启用配置了 client id 的登录方式
+   * @param {Object} gl - 全局对象
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl) {
+    const { logger } = gl;
+    this.providers = {};
+    this.jwks = new Map(); // jwksUri -> { keys, fetchedAt }
+    const appUrl = `https://${process.env.APP_NAME}.com`;
+    this.callbackBase = process.env.OAUTH_CALLBACK_BASE || appUrl;
+    this.defaultRedirect = process.env.OAUTH_DEFAULT_REDIRECT || `${appUrl}/dashboard`;
+    // 登录后允许跳转的域名，相对路径总是允许
+    this.redirectHosts = new Set((process.env.OAUTH_REDIRECT_HOSTS || `${process.env.APP_NAME}.com`).split(',').map(s => s.trim()).filter(Boolean));
+    for (const [name, config] of Object.entries(PROVIDERS)) {
+      const prefix = `OAUTH_${name.toUpperCase()}`;
+      if (process.env[`${prefix}_CLIENT_ID`]) {
+        this.registerProvider(name, {
+          ...config,
+          clientId: process.env[`${prefix}_CLIENT_ID`],
+          clientSecret: process.env[`${prefix}_CLIENT_SECRET`]
+        });
+      }
+    }
+    logger.info('第三方登录:', Object.keys(this.providers).join(', ') || '无');
+    return null;
+  }
+
+  /**
+   * 注册登录方式
+   * @param {string} name - 名称，用于 URL 和 user_identities.provider
+   * @param {Object} config - 见 PROVIDERS
+   */
+  registerProvider(name, config) {
+    if (!config.clientId || !config.authorizationUrl || !config.tokenUrl) {
+      throw new Error(`登录方式 ${name} 缺少 clientId / authorizationUrl / tokenUrl`);
+    }
+    if (!config.oidc && !config.profile) {
+      throw new Error(`登录方式 ${name} 需要 oidc 或 profile()`);
+    }
+    this.providers[name] = { name, ...config };
+  }
+
+  callbackUrl(name) {
+    return `${this.callbackBase}/oauth/${name}/callback`;
+  }
+
+  /**
+   * 登录后跳转地址只允许相对路径或白名单域名，防止被用作开放跳转
+   * @param {string} url
+   * @returns {string|null}
+   */
+  safeRedirect(url) {
+    if (!url) return null;
+    if (url.startsWith('/') && !url.startsWith('//')) return url;
+    try {
+      const { protocol, hostname } = new URL(url);
+      return protocol === 'https:' && this.redirectHosts.has(hostname) ? url : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 开始登录：生成 state / nonce / PKCE，保存到 KV，返回授权地址
+   * @param {Object} params
+   * @param {string} params.provider - 登录方式
+   * @param {string} params.redirect - 登录成功后跳转的地址
+   * @param {Object} params.extra - 需要带到回调的数据
+   * @returns {Promise<Object>} { url: 授权地址, state }
+   */
+  async createAuthorizationUrl({ provider, redirect, extra = {} }) {
+    const p = this.providers[provider];
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const verifier = base64url(crypto.randomBytes(32));
+    const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+    await this.gl.kv.set(`oauth_state_${state}`, { provider, nonce, verifier, redirect: this.safeRedirect(redirect), ...extra }, { ex: STATE_TTL });
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: p.clientId,
+      redirect_uri: this.callbackUrl(provider),
+      scope: p.scope,
+      state,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+    if (p.oidc) params.set('nonce', nonce);
+    return { url: `${p.authorizationUrl}?${params}`, state };
+  }
+
+  stateHash(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('base64url');
+  }
+
+  /**
+   * 回调中的 state 是否由当前浏览器发起（与 /start 时写入的 cookie 比较）
+   * @returns {boolean}
+   */
+  checkStateCookie({ req, state }) {
+    const cookie = this.gl.util.getCookie({ req, name: STATE_COOKIE });
+    if (!cookie || !state) return false;
+    const expected = Buffer.from(this.stateHash(state));
+    const actual = Buffer.from(String(cookie));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 取出并作废 state（只能使用一次）
+   * @param {string} state
+   * @returns {Promise<Object|null>}
+   */
+  async consumeState(state) {
+    const { kv } = this.gl;
+    if (!state) return null;
+    const key = `oauth_state_${state}`;
+    const stored = await kv.get(key);
+    if (!stored || !(await kv.del(key))) return null;
+    return stored;
+  }
+
+  /**
+   * 用授权码换取 token 并获取用户信息
+   * @param {Object} params - { provider, code, stored: consumeState 的结果 }
+   * @returns {Promise<Object>} { subject, email, emailVerified, name, avatar }
+   */
+  async exchangeCode({ provider, code, stored }) {
+    const { axios } = this.gl;
+    const p = this.providers[provider];
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.callbackUrl(provider),
+      client_id: p.clientId,
+      client_secret: p.clientSecret || '',
+      code_verifier: stored.verifier
+    });
+    const { data } = await axios.post(p.tokenUrl, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+    });
+    if (data.error) throw new Error(`${provider} token 错误: ${data.error}`);
+    if (p.oidc) {
+      if (!data.id_token) throw new Error(`${provider} 未返回 id_token`);
+      const claims = await this.verifyIdToken({ provider, idToken: data.id_token, nonce: stored.nonce });
+      return {
+        subject: String(claims.sub),
+        email: claims.email || null,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name,
+        avatar: claims.picture
+      };
+    }
+    return p.profile({ axios, accessToken: data.access_token });
+  }
+
+  /**
+   * 获取 JWKS 公钥，找不到 kid 时重新拉取（对方轮换密钥）
+   */
+  async getSigningKey(jwksUri, kid) {
+    const cached = this.jwks.get(jwksUri);
+    let keys = cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MS ? cached.keys : null;
+    if (!keys || !keys.find(k => k.kid === kid)) {
+      const { data } = await this.gl.axios.get(jwksUri);
+      keys = data.keys || [];
+      this.jwks.set(jwksUri, { keys, fetchedAt: Date.now() });
+    }
+    const jwk = keys.find(k => k.kid === kid);
+    if (!jwk) throw new Error(`找不到签名公钥 kid=${kid}`);
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * 校验 id_token：签名（RS256 / ES256）、iss、aud、exp、nonce
+   * @param {Object} params - { provider, idToken, nonce }
+   * @returns {Promise<Object>} claims
+   */
+  async verifyIdToken({ provider, idToken, nonce }) {
+    const p = this.providers[provider];
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) throw new Error('id_token 格式错误');
+    const [h, b, s] = parts;
+    const header = JSON.parse(Buffer.from(h, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(b, 'base64url').toString());
+    const key = await this.getSigningKey(p.jwksUri, header.kid);
+    const data = Buffer.from(`${h}.${b}`);
+    const signature = Buffer.from(s, 'base64url');
+    let ok;
+    if (header.alg === 'RS256') {
+      ok = crypto.verify('sha256', data, key, signature);
+    } else if (header.alg === 'ES256') {
+      ok = crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    } else {
+      throw new Error(`不支持的 id_token 算法: ${header.alg}`);
+    }
+    if (!ok) throw new Error('id_token 签名错误');
+    const issuers = [].concat(p.issuer || []);
+    if (issuers.length && !issuers.includes(claims.iss)) throw new Error('id_token iss 错误');
+    const aud = [].concat(claims.aud);
+    if (!aud.includes(p.clientId)) throw new Error('id_token aud 错误');
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.exp || claims.exp < now - 60) throw new Error('id_token 已过期');
+    if (claims.nonce !== nonce) throw new Error('id_token nonce 错误');
+    return claims;
+  }
+
+  /**
+   * 注册第三方登录的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    // 可用的登录方式
+    app.get('/oauth/providers', async (req, res) => {
+      return { result: Object.keys(this.providers) };
+    });
+
+    // 跳转到第三方授权页面；link=1 时把第三方身份关联到当前登录的用户
+    app.get('/oauth/:provider/start', async (req, res) => {
+      const { provider } = req.params;
+      const { redirect, link } = req.query;
+      if (!this.providers[provider]) return { err: 'unknown-provider' };
+      if (link && !req.uid) return { err: 'user-not-login' };
+      // 模拟登录时不能给用户关联第三方身份（否则模拟结束后仍可用自己的身份登录）
+      if (link && req.impersonator) return { err: 'permission-denied' };
+      const extra = link ? { linkUid: req.uid } : {};
+      const { url, state } = await this.createAuthorizationUrl({ provider, redirect, extra });
+      // 回调是第三方发起的跳转，SameSite=Lax 的 cookie 会带上
+      this.gl.util.setCookie({ req, res, name: STATE_COOKIE, value: this.stateHash(state), path: '/oauth/', days: STATE_TTL / 86400, httpOnly: true, sameSite: 'lax' });
+      res.redirect(url);
+    });
+
+    // 第三方授权回调
+    app.get('/oauth/:provider/callback', async (req, res) => {
+      const { user, logger } = this.gl;
+      const { provider } = req.params;
+      const { code, state, error } = req.query;
+      if (!this.providers[provider]) return { err: 'unknown-provider' };
+      if (error) return { err: 'oauth-denied' };
+      // 防止把攻击者发起的授权回调发给受害者（登录 CSRF / 把攻击者的身份关联到受害者）
+      if (!this.checkStateCookie({ req, state })) return { err: 'invalid-state' };
+      this.gl.util.clearCookie({ req, res, name: STATE_COOKIE, path: '/oauth/' });
+      const stored = await this.consumeState(state);
+      if (!stored || stored.provider !== provider) return { err: 'invalid-state' };
+      try {
+        const profile = await this.exchangeCode({ provider, code, stored });
+        if (stored.linkUid) {
+          const { subject, email, name, avatar } = profile;
+          const linked = await user.linkIdentity({ uid: stored.linkUid, provider, subject, email, profile: { name, avatar } });
+          if (!linked) return { err: 'identity-already-linked' };
+          res.redirect(stored.redirect || this.defaultRedirect);
+          return;
+        }
+        const result = await user.loginWithIdentity({ provider, frm: this.providers[provider].frm, ...profile });
+        if (result.err) return { err: result.err };
+        const redirect = await user.loginForRedirect({ req, res, user: result.user, redirect: stored.redirect || this.defaultRedirect });
+        logger.info('第三方登录成功', { provider, uid: result.user.uid });
+        res.redirect(redirect);
+      } catch (e) {
+        logger.error('第三方登录失败', { provider, error: e.message });
+        return { err: 'oauth-failed' };
+      }
+    });
+  }
+}
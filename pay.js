@@ -1,47 +1,184 @@
 import { BaseService } from './common/baseService.js';
+import { FREE_PLAN } from './common/constants.js';
+import { createProvider } from './payProviders/index.js';
+
+// 支付：下单、管理和取消订阅，具体渠道见 payProviders（PAY_PROVIDER），订阅状态由 gl.subscription 维护
 export class Pay extends BaseService {
-    async init() {
+    // 支付通知经 webhook 模块（/notify/_commonapi、/notify/pay/<渠道名>）发布到事件总线
+    static deps = ['db', 'user', 'subscription', 'events', 'webhook']
+
+    /**
+     * 初始化支付服务
+     * @param {Object} gl - 全局对象
+     * @returns {Promise<string|null>} 错误信息或null
+     */
+    async init(gl) {
+        const name = process.env.PAY_PROVIDER || 'commonapi'
+        this.provider = createProvider(name, gl)
+        if (!this.provider) return `未知的支付渠道: ${name}`
+        const err = await this.provider.init()
+        if (err) return err
+        gl.logger.info('支付渠道', name)
+        // 订单记录到 orders 表，取消、管理订阅时需要其中的订阅ID和 customerId
+        gl.events.subscribe('order_paid', 'pay.orderPaid', data => this.saveOrder(data))
+        return null
+    }
+
+    get test() {
+        return this.gl.config.payTest
+    }
+
+    /**
+     * 保存订单（同一订单续费时更新 meta）
+     * @param {Object} meta - 订单信息 { id, uid, pid, ... }
+     */
+    async saveOrder(meta) {
+        if (!meta?.id || !meta.uid) return
+        await this.gl.db.upsert('orders', {
+            id: String(meta.id),
+            uid: meta.uid,
+            product: this.gl.subscription.resolvePlan(meta) || meta.pid || meta.name || null,
+            meta,
+            ctime: Math.floor(Date.now() / 1000)
+        }, 'id', { update: ['product', 'meta'] })
+    }
+
+    /**
+     * 获取用户最近的订单
+     * @param {number} uid - 用户ID
+     * @returns {Promise<Object|null>}
+     */
+    async getOrder(uid) {
+        return this.gl.db.findOne('SELECT * FROM orders WHERE uid = $1 ORDER BY ctime DESC LIMIT 1', [uid])
+    }
+
+    /**
+     * 获取付款记录，没有指定付款ID时为用户最近的一笔
+     * @param {Object} params - { uid, paymentId }
+     * @returns {Promise<Object|null>}
+     */
+    async getPayment({ uid, paymentId }) {
+        if (paymentId) return this.gl.db.findOne('SELECT * FROM payments WHERE order_id = $1 AND uid = $2', [paymentId, uid])
+        return this.gl.db.findOne('SELECT * FROM payments WHERE uid = $1 ORDER BY id DESC LIMIT 1', [uid])
+    }
+
+    /**
+     * 创建支付链接，套餐内容以 Config.plans 为准，客户端只能指定套餐ID
+     * @param {Object} params - { uid, pid, extra }，extra 为客户端的其它参数，由渠道按白名单透传
+     * @returns {Promise<Object>} { result: { id, url } } 或 { err }
+     */
+    async createPaymentUrl({ uid, pid, extra = {} }) {
+        const { user, subscription, logger } = this.gl
+        const def = pid !== FREE_PLAN && subscription.getPlanDef(pid)
+        if (!def) return { err: 'invalid-plan' }
+        const current = await subscription.get(uid)
+        if (subscription.isEntitled(current) && current.plan === pid && !current.cancel_at_period_end) {
+            return { err: 'already-subscribed' }
+        }
+        const info = await user.getUser({ uid })
+        if (!info) return { err: 'user-not-found' }
+        try {
+            const result = await this.provider.createCheckout({ uid, email: info.email, pid, plan: def, test: this.test, extra })
+            return { result }
+        } catch (error) {
+            logger.error('创建支付失败', { uid, pid, provider: this.provider.name, error: error.message })
+            return { err: 'checkout-failed' }
+        }
+    }
+
+    /**
+     * 取消订阅：通知支付渠道停止续费，当前周期结束前仍然有效
+     * @param {number} uid - 用户ID
+     * @returns {Promise<Object>} { result: plan } 或 { err }
+     */
+    async cancelPlan(uid) {
+        const { logger, subscription } = this.gl
+        const current = await subscription.get(uid)
+        if (!subscription.isEntitled(current)) return { err: 'user-not-subscribed' }
+        if (!current.cancel_at_period_end) {
+            const order = await this.getOrder(uid)
+            if (!order) return { err: 'no-order' }
+            try {
+                await this.provider.cancel({ order, atPeriodEnd: true, test: this.test })
+            } catch (error) {
+                logger.error('取消订阅失败', { uid, orderId: order.id, provider: this.provider.name, error: error.message })
+                return { err: 'cancel-failed' }
+            }
+            await subscription.cancel(uid, { atPeriodEnd: true })
+        }
+        return { result: await subscription.getPlan(uid) }
+    }
 
+    /**
+     * 公开的套餐目录（与 Config.plans 一样以套餐ID为 key），不包含优惠码、渠道价格ID等内部配置
+     * @returns {Object} { [id]: { id, name, tier, price, trial, entitlements } }
+     */
+    publicPlans() {
+        const { plans } = this.gl.config
+        return Object.fromEntries(Object.entries(plans).map(([id, def]) => [id, {
+            id,
+            name: def.name,
+            tier: def.tier,
+            price: def.price,
+            trial: def.trial_day || 0,
+            entitlements: def.entitlements || {}
+        }]))
     }
+
+    /**
+     * 注册支付相关的API端点
+     * @param {Object} app - Fastify应用实例
+     */
     async regEndpoints(app) {
-        app.get('/pay/manage-subscription', async (req, res) => {
-            const { aimgr, db } = this.gl
-            const uid = await aimgr.getUID(req)
-            if (!uid) return { code: 100, msg: ERR.NO_UID }
-            const order = await db.getOrder({ uid })
-            if (!order) return { code: 101, msg: "no order" }
-            const customerId = order.meta.customerId; // 从用户会话中获取 Stripe Customer ID
-            res.redirect(`/user/_pay/manage-subscription?cid=${customerId}`); // 重定向到 Customer Portal
+        if (this.provider.regEndpoints) await this.provider.regEndpoints(app)
+
+        app.get('/pay/manage-subscription', { config: { requireAuth: true } }, async (req, res) => {
+            try {
+                const order = await this.getOrder(req.uid)
+                if (!order) return { err: 'no-order' }
+                const url = await this.provider.portalUrl({ order })
+                if (!url) return { err: 'no-customer' }
+                return res.redirect(url) // 重定向到 Customer Portal
+            } catch (error) {
+                this.gl.logger.error('管理订阅失败', { error: error.message, uid: req.uid })
+                return { err: 'internal-server-error' }
+            }
         })
         app.get("/pay/plans", async (req, res) => {
-            return this.gl.config.plans
+            return this.publicPlans()
         })
-        app.post("/pay/createPaymentUrl", async (req, res) => {
-            const { axios, aimgr } = this.gl
-            const body = req.body
-            const test = false
-            const uid = await aimgr.getUID(req)
-            const url = process.env.commonAPI + "/pay/createPayment"
-            const result = await axios.post(url, { ...body, uid, app: process.env.APP_NAME, test })
-            return result.data
+        // body: { pid: 套餐ID, ...其它透传参数 }
+        app.post("/pay/createPaymentUrl", { config: { requireAuth: true, rateLimit: { max: 20, window: 3600, by: 'uid' } } }, async (req, res) => {
+            try {
+                const { pid, plan, ...extra } = req.body || {}
+                return await this.createPaymentUrl({ uid: req.uid, pid: pid || plan, extra })
+            } catch (error) {
+                this.gl.logger.error('创建支付失败', { error: error.message, uid: req.uid })
+                return { err: 'internal-server-error' }
+            }
+        })
+        app.post('/pay/cancelPlan', { config: { requireAuth: true } }, async (req, res) => {
+            try {
+                return await this.cancelPlan(req.uid)
+            } catch (error) {
+                this.gl.logger.error('cancelPlan error', { error: error.message, uid: req.uid })
+                return { err: 'internal-server-error' }
+            }
         })
-        app.get('/pay/cancelPlan', async (req, res) => {
+        // 退款：body { uid, paymentId, amount }，paymentId 为空时退最近一笔，amount 为空时全额；订阅状态在渠道通知后更新
+        app.post('/admin/pay/refund', { config: { requireRole: 'admin' } }, async (req, res) => {
             try {
-                const { aimgr } = this.gl
-                const uid = await aimgr.getUID(req)
-                if (!uid) {
-                    return { err: 'user-not-login' };
-                }
-                const user = await this.getUser({ uid });
-                user.plan = await this.getPlan({ user })
-                if (user.plan.name !== 'free') {
-                    return await this.cancelPlan({ user })
-                }
-                return { err: 'user-not-subscribed' };
+                const { uid, paymentId, amount } = req.body || {}
+                if (!uid) return { err: 'missing-uid' }
+                const payment = await this.getPayment({ uid, paymentId })
+                if (!payment) return { err: 'payment-not-found' }
+                this.gl.logger.info('退款', { uid, paymentId: payment.order_id, amount, operator: req.uid })
+                await this.provider.refund({ payment, amount: amount === undefined ? undefined : Number(amount), test: this.test })
+                return { result: 'ok' }
             } catch (error) {
-                this.gl.logger.error('cancelPlan error', { error: error.message, uid: req.uid });
-                return { err: 'internal-server-error' };
+                this.gl.logger.error('退款失败', { error: error.message, body: req.body })
+                return { err: 'refund-failed' }
             }
         })
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,64 @@
+import crypto from 'crypto'
+import { verifySignature } from '../common/signature.js'
+
+// commonAPI 渠道：通过 commonAPI（环境变量 commonAPI）创建支付和管理订阅
+// 通知格式与 /notify/_commonapi 相同：{ id, event, data }，签名见 webhook 模块
+//   COMMONAPI_CHECKOUT_EXTRA  客户端可以透传给 commonAPI 的参数，逗号分隔，默认 lang,successUrl,cancelUrl
+export class CommonApiProvider {
+    constructor(gl) {
+        this.gl = gl
+        this.name = 'commonapi'
+    }
+
+    init() {
+        this.base = process.env.commonAPI
+        if (!this.base) return '未配置 commonAPI'
+        this.secrets = (process.env.COMMONAPI_WEBHOOK_SECRET || '').split(',').map(s => s.trim()).filter(Boolean)
+        this.tolerance = parseInt(process.env.WEBHOOK_TOLERANCE) || 300
+        this.extraKeys = (process.env.COMMONAPI_CHECKOUT_EXTRA || 'lang,successUrl,cancelUrl').split(',').map(s => s.trim()).filter(Boolean)
+        return null
+    }
+
+    async post(path, body) {
+        const { data } = await this.gl.axios.post(this.base + path, { ...body, app: process.env.APP_NAME })
+        if (data?.err) throw new Error(`commonAPI ${path}: ${data.err}`)
+        return data
+    }
+
+    async createCheckout({ uid, email, pid, plan, test, extra = {} }) {
+        // 套餐中 tier / entitlements 只在本服务使用，其余字段（co、coupon、price 等）由 commonAPI 解释
+        // 客户端的参数只保留白名单中的，避免覆盖价格、优惠码等
+        const { id, tier, entitlements, ...fields } = plan
+        const allowed = Object.fromEntries(this.extraKeys.filter(k => Object.hasOwn(extra, k)).map(k => [k, extra[k]]))
+        const data = await this.post('/pay/createPayment', { ...allowed, ...fields, pid, uid, email, test })
+        const result = data.result ?? data
+        return typeof result === 'string' ? { url: result } : { id: result.id, url: result.url }
+    }
+
+    async cancel({ order, atPeriodEnd = true, test }) {
+        await this.post('/pay/cancelSubscription', { orderId: order.id, uid: order.uid, atPeriodEnd, test })
+    }
+
+    async refund({ payment, amount, test }) {
+        await this.post('/pay/refund', { orderId: payment.meta?.id, uid: payment.uid, paymentId: payment.order_id, amount, test })
+    }
+
+    async portalUrl({ order }) {
+        const customerId = order.meta?.customerId
+        return customerId ? `/user/_pay/manage-subscription?cid=${encodeURIComponent(customerId)}` : null
+    }
+
+    async parseWebhook({ headers, rawBody }) {
+        const err = verifySignature({
+            secrets: this.secrets,
+            rawBody,
+            timestamp: headers['x-commonapi-timestamp'],
+            signatures: headers['x-commonapi-signature'],
+            tolerance: this.tolerance
+        })
+        if (err) return { err }
+        const body = JSON.parse(rawBody.toString() || '{}')
+        const id = body.id || headers['x-commonapi-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex')
+        return { id, event: body.event, data: body.data || {} }
+    }
+}
@@ -0,0 +1,184 @@
+import { sign, verifySignature } from '../common/signature.js'
+
+// 测试用的进程内支付渠道：不访问网络，ID 按调用顺序生成
+// simulate() 产生 paid / renewed / failed / refunded / canceled 事件，签名后经 app.inject 发到 /notify/pay/fake，
+// 与真实渠道一样经过 webhook_inbox、事件总线再由 subscription 模块处理（需要启用 webhook 模块）
+//   FAKE_PAY_SECRET  签名密钥，必须配置
+//   FAKE_PAY_RUN     ID 中的批次，默认 dev；序号保存在 gl.kv，KV 持久化时重启后事件ID不会与 webhook_inbox 中已有的重复
+export const FAKE_EVENTS = ['paid', 'renewed', 'failed', 'refunded', 'canceled']
+
+export class FakeProvider {
+    constructor(gl) {
+        this.gl = gl
+        this.name = 'fake'
+    }
+
+    init() {
+        if (process.env.NODE_ENV === 'production') return 'fake 支付渠道不能在生产环境使用'
+        this.secret = process.env.FAKE_PAY_SECRET
+        if (!this.secret) return '未配置 FAKE_PAY_SECRET'
+        this.run = process.env.FAKE_PAY_RUN || 'dev'
+        this.checkouts = new Map() // id -> { uid, pid }
+        this.orders = new Map()    // id -> { uid, pid, customerId, endTime, cancelAtPeriodEnd }
+        return null
+    }
+
+    async nextId(type) {
+        return `fake_${type}_${this.run}_${await this.gl.kv.incr(`fake_pay_seq_${this.run}`)}`
+    }
+
+    async createCheckout({ uid, pid }) {
+        const id = await this.nextId('cs')
+        this.checkouts.set(id, { uid, pid })
+        return { id, url: `/pay/fake/checkout/${id}` }
+    }
+
+    async cancel({ order, atPeriodEnd = true }) {
+        if (atPeriodEnd) (await this.getOrder(order.id)).cancelAtPeriodEnd = true
+        else await this.simulate('canceled', { orderId: order.id })
+    }
+
+    async refund({ payment, amount }) {
+        await this.simulate('refunded', { payment, amount })
+    }
+
+    async portalUrl({ order }) {
+        return order.meta?.customerId ? `/pay/fake/portal/${order.meta.customerId}` : null
+    }
+
+    async parseWebhook({ headers, rawBody }) {
+        const err = verifySignature({
+            secrets: [this.secret],
+            rawBody,
+            timestamp: headers['x-fake-timestamp'],
+            signatures: headers['x-fake-signature']
+        })
+        if (err) return { err }
+        return JSON.parse(rawBody.toString())
+    }
+
+    async getOrder(id) {
+        if (!this.orders.has(id)) {
+            // 进程重启后从 orders 表恢复
+            const row = await this.gl.db.findOne('SELECT * FROM orders WHERE id = $1', [id])
+            if (!row) throw new Error(`订单不存在: ${id}`)
+            const { uid, pid, customerId, endTime } = row.meta
+            this.orders.set(id, { uid, pid, customerId, endTime, cancelAtPeriodEnd: false })
+        }
+        return this.orders.get(id)
+    }
+
+    async paid(id, order, { amount, status = 'active', renewal = false }) {
+        const { uid, pid, endTime, customerId } = order
+        return { event: 'order_paid', data: { uid, id, paymentId: await this.nextId('pay'), pid, amount, endTime, status, customerId, renewal } }
+    }
+
+    /**
+     * 生成支付事件
+     * @param {string} type - paid / renewed / failed / refunded / canceled
+     * @param {Object} target - paid: { checkoutId }；refunded: { payment, amount }；其它: { orderId }
+     * @returns {Promise<Object>} { event, data }
+     */
+    async buildEvent(type, { checkoutId, orderId, payment, amount } = {}) {
+        const { subscription } = this.gl
+        const now = Math.floor(Date.now() / 1000)
+        if (type === 'paid') {
+            const checkout = this.checkouts.get(checkoutId)
+            if (!checkout) throw new Error(`checkout 不存在: ${checkoutId}`)
+            this.checkouts.delete(checkoutId)
+            const plan = subscription.getPlanDef(checkout.pid)
+            const price = subscription.parsePrice(plan)
+            const trial = plan.trial_day || 0
+            const id = await this.nextId('sub')
+            const order = {
+                uid: checkout.uid,
+                pid: checkout.pid,
+                customerId: await this.nextId('cus'),
+                endTime: now + (trial ? trial * 86400 : price.interval),
+                cancelAtPeriodEnd: false
+            }
+            this.orders.set(id, order)
+            return trial ? this.paid(id, order, { amount: 0, status: 'trialing' }) : this.paid(id, order, { amount: price.amount })
+        }
+        if (type === 'refunded') {
+            if (!payment) throw new Error('缺少要退款的付款')
+            // payments.amount 为 BIGINT，pg 返回字符串
+            const total = Number(payment.amount)
+            const refunded = Math.min(total, (Number(payment.meta?.refunded) || 0) + (amount ?? total))
+            return { event: 'order_refunded', data: { uid: payment.uid, paymentId: payment.order_id, amount: refunded } }
+        }
+        const order = await this.getOrder(orderId)
+        if (type === 'renewed') {
+            if (order.cancelAtPeriodEnd) throw new Error(`订阅已取消: ${orderId}`)
+            const price = subscription.parsePrice(subscription.getPlanDef(order.pid))
+            order.endTime = Math.max(order.endTime, now) + price.interval
+            return this.paid(orderId, order, { amount: price.amount, renewal: true })
+        }
+        if (type === 'failed') return { event: 'payment_failed', data: { uid: order.uid, id: orderId } }
+        if (type === 'canceled') {
+            this.orders.delete(orderId)
+            return { event: 'subscription_canceled', data: { uid: order.uid, id: orderId } }
+        }
+        throw new Error(`未知的模拟事件: ${type}`)
+    }
+
+    /**
+     * 模拟渠道发来的通知
+     * @returns {Promise<Object>} { id, event, data, response }，response 为 /notify/pay/fake 的返回
+     */
+    async simulate(type, target) {
+        const { app, webhook } = this.gl
+        if (!webhook) throw new Error('fake 支付渠道需要启用 webhook 模块')
+        const body = { id: await this.nextId('evt'), ...await this.buildEvent(type, target) }
+        const rawBody = JSON.stringify(body)
+        const ts = Math.floor(Date.now() / 1000)
+        const res = await app.inject({
+            method: 'POST',
+            url: `/notify/pay/${this.name}`,
+            headers: { 'content-type': 'application/json', 'x-fake-timestamp': String(ts), 'x-fake-signature': sign(this.secret, ts, rawBody) },
+            payload: rawBody
+        })
+        return { ...body, response: res.json() }
+    }
+
+    /**
+     * 测试用的端点：完成支付、模拟事件、查看订阅
+     * @param {Object} app - Fastify应用实例
+     */
+    async regEndpoints(app) {
+        app.get('/pay/fake/checkout/:id', { config: { requireAuth: true } }, async (req, res) => {
+            try {
+                const checkout = this.checkouts.get(req.params.id)
+                if (!checkout || checkout.uid !== req.uid) return { err: 'checkout-not-found' }
+                const { data, response } = await this.simulate('paid', { checkoutId: req.params.id })
+                return response.err ? { err: response.err } : { result: data }
+            } catch (error) {
+                this.gl.logger.error('模拟支付失败', { error: error.message, uid: req.uid })
+                return { err: 'internal-server-error' }
+            }
+        })
+
+        // body: { event: paid|renewed|failed|refunded|canceled, checkoutId, orderId, paymentId, amount }
+        app.post('/pay/fake/simulate', { config: { requireRole: 'admin' } }, async (req, res) => {
+            try {
+                const { event, checkoutId, orderId, paymentId, amount } = req.body || {}
+                if (!FAKE_EVENTS.includes(event)) return { err: 'invalid-event' }
+                let payment
+                if (event === 'refunded') {
+                    payment = await this.gl.db.findOne('SELECT * FROM payments WHERE order_id = $1', [paymentId])
+                    if (!payment) return { err: 'payment-not-found' }
+                }
+                const target = { checkoutId, orderId, payment, amount: amount === undefined ? undefined : Number(amount) }
+                return { result: await this.simulate(event, target) }
+            } catch (error) {
+                this.gl.logger.error('模拟支付事件失败', { error: error.message, body: req.body })
+                return { err: 'simulate-failed' }
+            }
+        })
+
+        app.get('/pay/fake/portal/:customerId', { config: { requireAuth: true } }, async (req, res) => {
+            const orders = [...this.orders].filter(([, o]) => o.customerId === req.params.customerId && o.uid === req.uid)
+            return { result: orders.map(([id, o]) => ({ id, ...o })) }
+        })
+    }
+}
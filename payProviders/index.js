@@ -0,0 +1,36 @@
+import { CommonApiProvider } from './commonapi.js'
+import { StripeProvider } from './stripe.js'
+import { FakeProvider } from './fake.js'
+
+// 支付渠道，由 PAY_PROVIDER 选择（默认 commonapi），每个渠道实现以下方法：
+//   init()                                          返回错误信息或null
+//   createCheckout({ uid, email, pid, plan, test, extra }) -> { id, url }
+//   cancel({ order, atPeriodEnd, test })            停止续费（atPeriodEnd）或立即取消
+//   refund({ payment, amount, test })               退款，payment 为 payments 表的记录，amount 为空时全额
+//   portalUrl({ order })                            -> 管理订阅的地址，没有时返回null
+//   parseWebhook({ headers, rawBody })              -> { id, event, data } / { err } / null（不关心的事件）
+// 失败时抛出异常。order 为 orders 表的记录（meta 为 order_paid 的数据）
+//
+// parseWebhook 把渠道的通知转换为统一的支付事件，经 webhook 模块发布到事件总线：
+//   order_paid             { uid, id, paymentId, pid, amount, endTime, status, customerId, renewal, prorated }
+//                          id 为订阅ID（续费时不变），paymentId 为本次付款ID，endTime 为本期结束时间（秒）
+//                          prorated 表示渠道已按比例结算了更换套餐的差价（不再补偿旧套餐的剩余时间）
+//   payment_failed         { uid, id }
+//   order_refunded         { uid, paymentId, paymentIntent, amount }，按 paymentId 或 paymentIntent 找付款，amount 为累计退款金额
+//   subscription_canceled  { uid, id }
+export const providers = {
+    commonapi: CommonApiProvider,
+    stripe: StripeProvider,
+    fake: FakeProvider,
+}
+
+/**
+ * 创建支付渠道实例
+ * @param {string} name - 渠道名
+ * @param {Object} gl - 全局对象
+ * @returns {Object|null} 未知渠道时返回null
+ */
+export function createProvider(name, gl) {
+    const Provider = Object.hasOwn(providers, name) ? providers[name] : null
+    return Provider ? new Provider(gl) : null
+}
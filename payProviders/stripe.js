@@ -0,0 +1,152 @@
+import { verifySignature } from '../common/signature.js'
+
+// Stripe（及兼容 Stripe API 的渠道）：Checkout Session 订阅模式
+// 套餐需要配置 stripe_price（Stripe 的价格ID），uid / pid 保存在订阅的 metadata 中
+// 付款对应的套餐按账单明细的价格ID匹配 stripe_price（用户可能在 Billing Portal 中换了套餐，metadata 中的 pid 不会变）
+//   STRIPE_SECRET_KEY      API 密钥
+//   STRIPE_WEBHOOK_SECRET  通知签名密钥，逗号分隔多个
+//   STRIPE_API_BASE        API 地址，默认 https://api.stripe.com/v1
+//   PAY_SUCCESS_URL / PAY_CANCEL_URL  支付完成 / 放弃后跳转的地址
+export class StripeProvider {
+    constructor(gl) {
+        this.gl = gl
+        this.name = 'stripe'
+    }
+
+    init() {
+        this.key = process.env.STRIPE_SECRET_KEY
+        if (!this.key) return '未配置 STRIPE_SECRET_KEY'
+        this.base = process.env.STRIPE_API_BASE || 'https://api.stripe.com/v1'
+        this.secrets = (process.env.STRIPE_WEBHOOK_SECRET || '').split(',').map(s => s.trim()).filter(Boolean)
+        this.tolerance = parseInt(process.env.WEBHOOK_TOLERANCE) || 300
+        this.successUrl = process.env.PAY_SUCCESS_URL || '/'
+        this.cancelUrl = process.env.PAY_CANCEL_URL || '/'
+        return null
+    }
+
+    // Stripe 使用表单编码，嵌套对象写成 a[b][c]
+    form(params, prefix = '', out = new URLSearchParams()) {
+        for (const [key, value] of Object.entries(params)) {
+            if (value === undefined || value === null) continue
+            const name = prefix ? `${prefix}[${key}]` : key
+            if (typeof value === 'object') this.form(value, name, out)
+            else out.append(name, String(value))
+        }
+        return out
+    }
+
+    async request(method, path, params = {}) {
+        const { data } = await this.gl.axios({
+            method,
+            url: this.base + path,
+            data: method === 'get' ? undefined : this.form(params).toString(),
+            headers: { authorization: `Bearer ${this.key}`, 'content-type': 'application/x-www-form-urlencoded' }
+        })
+        return data
+    }
+
+    async createCheckout({ uid, email, pid, plan }) {
+        if (!plan.stripe_price) throw new Error(`套餐 ${pid} 未配置 stripe_price`)
+        const metadata = { uid, pid }
+        const session = await this.request('post', '/checkout/sessions', {
+            mode: 'subscription',
+            line_items: [{ price: plan.stripe_price, quantity: 1 }],
+            customer_email: email,
+            client_reference_id: uid,
+            success_url: this.successUrl,
+            cancel_url: this.cancelUrl,
+            metadata,
+            subscription_data: { metadata, trial_period_days: plan.trial_day || undefined }
+        })
+        return { id: session.id, url: session.url }
+    }
+
+    async cancel({ order, atPeriodEnd = true }) {
+        // orders.id 即 Stripe 的订阅ID
+        if (atPeriodEnd) await this.request('post', `/subscriptions/${order.id}`, { cancel_at_period_end: true })
+        else await this.request('delete', `/subscriptions/${order.id}`)
+    }
+
+    async refund({ payment, amount }) {
+        const paymentIntent = payment.meta?.paymentIntent
+        if (!paymentIntent) throw new Error(`付款 ${payment.order_id} 没有 paymentIntent`)
+        await this.request('post', '/refunds', { payment_intent: paymentIntent, amount })
+    }
+
+    async portalUrl({ order }) {
+        const customer = order.meta?.customerId
+        if (!customer) return null
+        const session = await this.request('post', '/billing_portal/sessions', { customer, return_url: this.successUrl })
+        return session.url
+    }
+
+    async parseWebhook({ headers, rawBody }) {
+        // stripe-signature: t=时间戳,v1=签名[,v1=签名]
+        const parts = String(headers['stripe-signature'] || '').split(',').map(p => p.split('='))
+        const err = verifySignature({
+            secrets: this.secrets,
+            rawBody,
+            timestamp: parts.find(([k]) => k === 't')?.[1],
+            signatures: parts.filter(([k]) => k === 'v1').map(([, v]) => v),
+            tolerance: this.tolerance
+        })
+        if (err) return { err }
+        const { id, type, data } = JSON.parse(rawBody.toString())
+        const event = this.toEvent(type, data?.object || {})
+        return event && { id, ...event }
+    }
+
+    /**
+     * 按 Stripe 价格ID查找套餐ID
+     * @param {string} priceId - 价格ID
+     * @returns {string|null}
+     */
+    planOfPrice(priceId) {
+        if (!priceId) return null
+        const entry = Object.entries(this.gl.config.plans).find(([, def]) => def.stripe_price === priceId)
+        return entry ? entry[0] : null
+    }
+
+    /**
+     * 把 Stripe 事件转换为统一的支付事件，不关心的事件返回null
+     */
+    toEvent(type, obj) {
+        if (type === 'invoice.paid' || type === 'invoice.payment_failed') {
+            // 换套餐的账单还有旧套餐的按比例抵扣明细，取非 proration 的那一行
+            const lines = obj.lines?.data || []
+            const line = lines.find(l => !l.proration) || lines.at(-1) || {}
+            const metadata = obj.subscription_details?.metadata || line.metadata || {}
+            if (!obj.subscription || !metadata.uid) return null
+            const uid = parseInt(metadata.uid)
+            if (type === 'invoice.payment_failed') return { event: 'payment_failed', data: { uid, id: obj.subscription } }
+            return {
+                event: 'order_paid',
+                data: {
+                    uid,
+                    id: obj.subscription,
+                    paymentId: obj.id,
+                    pid: this.planOfPrice(line.price?.id || line.pricing?.price_details?.price) || metadata.pid,
+                    amount: obj.amount_paid,
+                    endTime: line.period?.end,
+                    status: obj.billing_reason === 'subscription_create' && !obj.amount_paid ? 'trialing' : 'active',
+                    customerId: obj.customer,
+                    paymentIntent: obj.payment_intent,
+                    renewal: obj.billing_reason === 'subscription_cycle',
+                    // 套餐变更的账单已由 Stripe 按比例结算
+                    prorated: obj.billing_reason === 'subscription_update'
+                }
+            }
+        }
+        if (type === 'charge.refunded') {
+            return {
+                event: 'order_refunded',
+                data: { uid: parseInt(obj.metadata?.uid) || undefined, paymentId: obj.invoice, paymentIntent: obj.payment_intent, amount: obj.amount_refunded }
+            }
+        }
+        if (type === 'customer.subscription.deleted') {
+            const uid = parseInt(obj.metadata?.uid)
+            return uid ? { event: 'subscription_canceled', data: { uid, id: obj.id } } : null
+        }
+        return null
+    }
+}
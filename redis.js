@@ -2,6 +2,8 @@ import { BaseService } from './common/baseService.js'
 import IOredis from 'ioredis'
 
 export class Redis extends BaseService {
+    // Redis 不可用时不影响启动，gl.kv 会退回到 Postgres
+    static optional = true
     async init(gl) {
         const { config } = gl
         // redis.set('key', 100, 'ex', 10) //set key expires after 10 seconds
@@ -13,9 +15,15 @@ export class Redis extends BaseService {
             if (v !== '123') return 'error'
         } catch (e) {
             console.log(e.message)
+            this.$r?.disconnect()
+            return e.message
         }
     }
     async close() {
+        if (this.$r) await this.$r.quit()
+    }
+    async ping() {
+        return await this.$r.ping()
     }
     async set(...argc) {
         return await this.$r.set(...argc)
@@ -0,0 +1,282 @@
+import { BaseService } from './common/baseService.js';
+import { SUBSCRIPTION_STATUS, ENTITLED_STATUS, FREE_PLAN } from './common/constants.js';
+
+const INTERVAL_SECONDS = { M: 30 * 24 * 3600, Y: 365 * 24 * 3600 };
+
+// 订阅与权益（gl.subscription）
+// 套餐定义见 Config.plans，每个用户最多一条订阅（subscriptions 表）
+// 业务路由通过 entitlements(uid) / hasFeature(uid, feature) 或路由配置 requireEntitlement 判断权益
+export class Subscription extends BaseService {
+  static deps = ['db', 'events?'];
+
+  /**
+   * 初始化订阅服务
+   * @param {Object} gl - 全局对象
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl) {
+    if (!gl.config.plans?.[FREE_PLAN]) return `Config.plans 缺少 ${FREE_PLAN} 套餐`;
+    this.graceDays = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3; // 续费失败后的宽限天数
+    // 支付事件（见 payProviders/index.js）
+    if (gl.events) {
+      gl.events.subscribe('order_paid', 'subscription.orderPaid', data => this.handleOrderPaid(data));
+      gl.events.subscribe('payment_failed', 'subscription.paymentFailed', data => this.handlePaymentFailed(data));
+      gl.events.subscribe('order_refunded', 'subscription.orderRefunded', data => this.handleOrderRefunded(data));
+      gl.events.subscribe('subscription_canceled', 'subscription.canceled', data => this.handleCanceled(data));
+    }
+    return null;
+  }
+
+  /**
+   * 获取套餐定义
+   * @param {string} id - 套餐ID
+   * @returns {Object|null} { id, name, tier, price, entitlements, ... }
+   */
+  getPlanDef(id) {
+    const { plans } = this.gl.config;
+    return id && Object.hasOwn(plans, id) ? { id, ...plans[id] } : null;
+  }
+
+  /**
+   * 解析套餐价格
+   * @param {Object} def - 套餐定义
+   * @returns {Object} { amount: 美分, interval: 周期秒数 }
+   */
+  parsePrice(def) {
+    const [amount, unit] = String(def?.price || '0|M').split('|');
+    return { amount: parseInt(amount) || 0, interval: INTERVAL_SECONDS[unit?.trim().toUpperCase()] || INTERVAL_SECONDS.M };
+  }
+
+  async get(uid) {
+    return this.gl.db.findOne('SELECT * FROM subscriptions WHERE uid = $1', [uid]);
+  }
+
+  /**
+   * 订阅当前是否有效
+   * @param {Object} sub - subscriptions 记录
+   * @returns {boolean}
+   */
+  isEntitled(sub) {
+    return !!sub && ENTITLED_STATUS.includes(sub.status) && new Date(sub.current_period_end) > new Date();
+  }
+
+  /**
+   * 获取用户当前的套餐，没有有效订阅时为 free
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Object>} { id, name, status, endTime, cancelAtPeriodEnd }，name 为套餐等级
+   */
+  async getPlan(uid) {
+    const sub = await this.get(uid);
+    const def = this.isEntitled(sub) && this.getPlanDef(sub.plan);
+    if (!def) {
+      if (sub && this.isEntitled(sub)) this.gl.logger.warn('订阅的套餐不在套餐目录中', { uid, plan: sub.plan });
+      return { id: FREE_PLAN, name: this.getPlanDef(FREE_PLAN).tier, status: null };
+    }
+    return {
+      id: def.id,
+      name: def.tier,
+      status: sub.status,
+      endTime: Math.floor(new Date(sub.current_period_end).getTime() / 1000),
+      cancelAtPeriodEnd: sub.cancel_at_period_end
+    };
+  }
+
+  /**
+   * 获取用户的权益
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Object>} { plan, tier, status, features, limits }
+   */
+  async entitlements(uid) {
+    const plan = await this.getPlan(uid);
+    const { entitlements = {} } = this.getPlanDef(plan.id);
+    return {
+      plan: plan.id,
+      tier: plan.name,
+      status: plan.status,
+      features: entitlements.features || [],
+      limits: entitlements.limits || {}
+    };
+  }
+
+  async hasFeature(uid, feature) {
+    const { features } = await this.entitlements(uid);
+    return features.includes(feature);
+  }
+
+  /**
+   * 开通或续费订阅（覆盖原有订阅）
+   * @param {Object} params - { uid, plan, status, periodStart, periodEnd, creditSeconds }，creditSeconds 为更换套餐补偿的时间（已包含在 periodEnd 中）
+   * @returns {Promise<Object>} subscriptions 记录
+   */
+  async activate({ uid, plan, status = SUBSCRIPTION_STATUS.ACTIVE, periodStart = new Date(), periodEnd, creditSeconds = 0 }) {
+    const def = this.getPlanDef(plan);
+    if (!def || plan === FREE_PLAN) throw new Error(`无效的套餐: ${plan}`);
+    if (!periodEnd) periodEnd = new Date(new Date(periodStart).getTime() + this.parsePrice(def).interval * 1000);
+    const row = await this.gl.db.upsert('subscriptions', {
+      uid,
+      plan,
+      status,
+      current_period_start: periodStart,
+      current_period_end: periodEnd,
+      cancel_at_period_end: false,
+      canceled_at: null,
+      credit_seconds: creditSeconds,
+      updated_at: new Date()
+    }, 'uid');
+    this.gl.logger.info('订阅已开通', { uid, plan, status, periodEnd });
+    return row;
+  }
+
+  /**
+   * 续费失败：标记为 past_due，有效期至少保留宽限期
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Object|null>} 更新后的记录
+   */
+  async markPastDue(uid) {
+    return this.gl.db.findOne(`
+      UPDATE subscriptions SET status = $2, updated_at = NOW(),
+        current_period_end = GREATEST(current_period_end, NOW() + make_interval(days => $3))
+      WHERE uid = $1 AND status <> $4 RETURNING *
+    `, [uid, SUBSCRIPTION_STATUS.PAST_DUE, this.graceDays, SUBSCRIPTION_STATUS.CANCELED]);
+  }
+
+  /**
+   * 取消订阅
+   * @param {number} uid - 用户ID
+   * @param {Object} options
+   * @param {boolean} options.atPeriodEnd - true 时到期后不再续费（期间仍然有效），false 时立即失效
+   * @returns {Promise<Object|null>} 更新后的记录，没有有效订阅时返回null
+   */
+  async cancel(uid, { atPeriodEnd = true } = {}) {
+    const sub = await this.get(uid);
+    if (!this.isEntitled(sub)) return null;
+    const data = atPeriodEnd
+      ? { cancel_at_period_end: true, canceled_at: new Date(), updated_at: new Date() }
+      : { status: SUBSCRIPTION_STATUS.CANCELED, canceled_at: new Date(), updated_at: new Date() };
+    const row = await this.gl.db.update('subscriptions', data, { uid });
+    this.gl.logger.info('取消订阅', { uid, plan: sub.plan, atPeriodEnd });
+    return row;
+  }
+
+  /**
+   * 撤销到期取消
+   * @returns {Promise<Object|null>} 更新后的记录
+   */
+  async resume(uid) {
+    const sub = await this.get(uid);
+    if (!this.isEntitled(sub) || !sub.cancel_at_period_end) return null;
+    return this.gl.db.update('subscriptions', { cancel_at_period_end: false, canceled_at: null, updated_at: new Date() }, { uid });
+  }
+
+  /**
+   * 根据订单信息找到套餐ID：优先 pid / plan，其次按套餐名称完全匹配
+   * @param {Object} meta - 订单信息
+   * @returns {string|null}
+   */
+  resolvePlan(meta) {
+    const { plans } = this.gl.config;
+    for (const id of [meta.pid, meta.plan]) {
+      if (id !== FREE_PLAN && this.getPlanDef(id)) return id;
+    }
+    const entry = Object.entries(plans).find(([id, def]) => id !== FREE_PLAN && def.name === meta.name);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 处理支付成功（order_paid 事件）：记录付款并开通订阅
+   * 更换套餐时，旧套餐的剩余价值按新套餐的单价折算成时间（credit_seconds），之后每期都加在渠道的到期时间上；
+   * 渠道已经按比例结算过的（prorated，如 Stripe 的套餐变更账单）不再补偿
+   * @param {Object} meta - 订单信息 { uid, id, paymentId, pid, name, amount, type, endTime, status, prorated }
+   */
+  async handleOrderPaid(meta) {
+    const { db, logger } = this.gl;
+    const { uid, type, endTime } = meta;
+    const order_id = meta.paymentId || meta.id; // 续费时订单ID不变，按付款ID记录
+    if (!uid) {
+      logger.warn('支付通知缺少uid', { order_id });
+      return;
+    }
+    const plan = this.resolvePlan(meta);
+    // 找不到套餐时抛出异常，投递失败后可在 /admin/events/dead 查看并重新投递
+    if (!plan) throw new Error(`未知的套餐: ${meta.pid || meta.name}`);
+    const def = this.getPlanDef(plan);
+    const price = this.parsePrice(def);
+    const inserted = await db.upsert('payments', { uid, type, amount: meta.amount == null ? price.amount : +meta.amount, order_id, meta }, 'order_id', { update: [] });
+
+    const now = Date.now();
+    let periodEnd = endTime ? endTime * 1000 : now + price.interval * 1000;
+    const current = await this.get(uid);
+    let creditSeconds = 0;
+    if (this.isEntitled(current) && current.plan === plan) {
+      creditSeconds = Number(current.credit_seconds) || 0;
+    } else if (this.isEntitled(current) && !meta.prorated) {
+      const oldPrice = this.parsePrice(this.getPlanDef(current.plan));
+      const remaining = (new Date(current.current_period_end).getTime() - now) / 1000;
+      if (oldPrice.amount > 0 && price.amount > 0) {
+        creditSeconds = Math.floor(remaining * (oldPrice.amount / oldPrice.interval) / (price.amount / price.interval));
+        logger.info('更换套餐补偿时间', { uid, from: current.plan, to: plan, credit: creditSeconds });
+      }
+    }
+    periodEnd += creditSeconds * 1000;
+    // 重复的付款通知（或晚到的旧付款）不能覆盖之后的状态，如已退款取消的订阅；
+    // 付款已记录但订阅还没更新（上次处理中断）时继续开通
+    const currentEnd = current ? new Date(current.current_period_end).getTime() : 0;
+    if (current && currentEnd >= periodEnd && (!inserted || current.status === SUBSCRIPTION_STATUS.CANCELED)) {
+      logger.info('忽略过期的付款通知', { uid, order_id, duplicate: !inserted, status: current.status });
+      return;
+    }
+    const status = meta.status === SUBSCRIPTION_STATUS.TRIALING ? SUBSCRIPTION_STATUS.TRIALING : SUBSCRIPTION_STATUS.ACTIVE;
+    await this.activate({ uid, plan, status, periodEnd: new Date(periodEnd), creditSeconds });
+  }
+
+  /**
+   * 续费失败（payment_failed 事件）
+   * @param {Object} data - { uid, id }
+   */
+  async handlePaymentFailed({ uid, id }) {
+    const row = await this.markPastDue(uid);
+    this.gl.logger.warn('续费失败', { uid, order: id, until: row?.current_period_end });
+  }
+
+  /**
+   * 退款（order_refunded 事件）：记录累计退款金额，最近一笔付款全额退款时立即取消订阅
+   * @param {Object} data - { paymentId, paymentIntent, amount }
+   */
+  async handleOrderRefunded({ paymentId, paymentIntent, amount }) {
+    const { db, logger } = this.gl;
+    const payment = await db.findOne(
+      `SELECT * FROM payments WHERE order_id = $1 OR (meta->>'paymentIntent') = $2 LIMIT 1`,
+      [paymentId || null, paymentIntent || null]
+    );
+    // 退款通知可能先于付款通知到达，抛出异常稍后重试
+    if (!payment) throw new Error(`找不到退款对应的付款: ${paymentId || paymentIntent}`);
+    await db.query(`UPDATE payments SET meta = meta || $2 WHERE id = $1`, [payment.id, { refunded: amount }]);
+    logger.info('退款', { uid: payment.uid, paymentId: payment.order_id, amount });
+    if (amount < Number(payment.amount)) return;
+    const latest = await db.findOne('SELECT id FROM payments WHERE uid = $1 ORDER BY id DESC LIMIT 1', [payment.uid]);
+    if (latest.id === payment.id) await this.cancel(payment.uid, { atPeriodEnd: false });
+  }
+
+  /**
+   * 渠道取消了订阅（subscription_canceled 事件），立即失效
+   * @param {Object} data - { uid, id }
+   */
+  async handleCanceled({ uid }) {
+    await this.cancel(uid, { atPeriodEnd: false });
+  }
+
+  /**
+   * 注册订阅相关的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    app.get('/user/entitlements', { config: { requireAuth: true } }, async (req, res) => {
+      try {
+        return { result: await this.entitlements(req.uid) };
+      } catch (error) {
+        this.gl.logger.error('获取用户权益失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+  }
+}
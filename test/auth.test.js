@@ -0,0 +1,105 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fastify from 'fastify'
+import { createAuthGuard } from '../common/authGuard.js'
+import { Admin } from '../admin.js'
+import { User } from '../user.js'
+import { Mfa } from '../mfa.js'
+import { OAuth } from '../oauth.js'
+import { createGl, fakeRes } from './helpers.js'
+
+const roles = { admin: ['*'], support: ['users.read', 'users.impersonate'] }
+const userRoles = { 1: ['admin'], 2: ['support'], 3: [] }
+
+function fakeUser(gl) {
+    return {
+        async getUser({ uid }) { return userRoles[uid] ? { uid } : null },
+        async getRoles(uid) { return userRoles[uid] || [] },
+        async getPermissions(uid) { return new Set((userRoles[uid] || []).flatMap(r => gl.config.roles[r] || [])) },
+        async hasRole(uid, role) { return (userRoles[uid] || []).includes(role) },
+        async hasPermission(uid, perm) { const p = await this.getPermissions(uid); return p.has('*') || p.has(perm) },
+        async login({ user, imp }) { return { uid: user.uid, imp, jti: 'j', expire: 0 } }
+    }
+}
+
+async function setup() {
+    const audits = []
+    const gl = await createGl({ config: { roles }, db: { insert: async (table, row) => audits.push(row) } })
+    gl.user = fakeUser(gl)
+    const admin = new Admin()
+    admin.gl = gl
+    await admin.init(gl)
+    return { gl, admin, audits }
+}
+
+test('impersonate: 不能模拟权限更大的用户', async () => {
+    const { admin, audits } = await setup()
+    assert.deepEqual(await admin.impersonate({ adminUid: 2, uid: 1, reason: 't' }), { err: 'permission-denied' })
+    assert.equal(audits.at(-1).action, 'impersonate_denied')
+    assert.deepEqual(await admin.impersonate({ adminUid: 2, uid: 9, reason: 't' }), { err: 'user-not-found' })
+    const ok = await admin.impersonate({ adminUid: 2, uid: 3, reason: 't' })
+    assert.equal(ok.uid, 3)
+    assert.equal(audits.at(-1).action, 'impersonate')
+    assert.equal((await admin.impersonate({ adminUid: 1, uid: 2, reason: 't' })).uid, 2)
+})
+
+test('authGuard: 模拟登录时拒绝需要角色或权限的接口', async () => {
+    const { gl } = await setup()
+    const guard = createAuthGuard(gl)
+    const run = async (config, req) => {
+        const res = fakeRes()
+        await guard({ routeOptions: { config }, ...req }, res)
+        return res.sent
+    }
+    assert.deepEqual(await run({ requireAuth: true }, {}), { err: 'user-not-login' })
+    assert.equal(await run({ requireRole: 'admin' }, { uid: 1 }), undefined)
+    assert.deepEqual(await run({ requireRole: 'admin' }, { uid: 1, impersonator: 2 }), { err: 'permission-denied' })
+    assert.deepEqual(await run({ requirePermission: 'users.read' }, { uid: 2, impersonator: 1 }), { err: 'permission-denied' })
+    assert.equal(await run({ requireAuth: true }, { uid: 3, impersonator: 2 }), undefined)
+})
+
+test('authGuard: 模拟登录时拒绝 denyImpersonation 的接口', async () => {
+    const { gl } = await setup()
+    const guard = createAuthGuard(gl)
+    const config = { requireAuth: true, denyImpersonation: true }
+    const res = fakeRes()
+    await guard({ routeOptions: { config }, uid: 3, impersonator: 2 }, res)
+    assert.deepEqual(res.sent, { err: 'permission-denied' })
+    const own = fakeRes()
+    await guard({ routeOptions: { config }, uid: 3 }, own)
+    assert.equal(own.sent, undefined)
+})
+
+test('修改凭据和身份的路由都声明了 denyImpersonation', async () => {
+    const app = fastify()
+    const routes = new Map()
+    app.addHook('onRoute', route => routes.set(`${route.method} ${route.url}`, route.config || {}))
+    const gl = await createGl()
+    const user = new User()
+    user.gl = gl
+    await user.regEndpoints(app)
+    const mfa = new Mfa()
+    mfa.gl = gl
+    await mfa.regEndpoints(app)
+    for (const route of [
+        'POST /user/sessions/revokeOthers', 'POST /user/password', 'POST /user/email/sendVerification', 'POST /user/email/verify',
+        'POST /user/email/change', 'POST /user/email/confirm', 'POST /user/identities/unlink', 'DELETE /user/delete',
+        'POST /user/2fa/setup', 'POST /user/2fa/enable', 'POST /user/2fa/disable', 'POST /user/2fa/recoveryCodes'
+    ]) {
+        assert.equal(routes.get(route)?.denyImpersonation, true, route)
+    }
+    await app.close()
+})
+
+test('GET /oauth/:provider/start?link=1: 模拟登录时拒绝关联第三方身份', async () => {
+    const gl = await createGl()
+    const oauth = new OAuth()
+    oauth.gl = gl
+    oauth.providers = { google: {} }
+    const app = fastify()
+    app.addHook('preHandler', async req => { req.uid = 3; req.impersonator = 2 })
+    await oauth.regEndpoints(app)
+    const res = await app.inject({ method: 'GET', url: '/oauth/google/start?link=1' })
+    assert.deepEqual(res.json(), { err: 'permission-denied' })
+    await app.close()
+})
@@ -0,0 +1,24 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CommonApiProvider } from '../payProviders/commonapi.js'
+
+test('createCheckout: 客户端参数只透传白名单中的', async () => {
+    process.env.commonAPI = 'https://common.example.com'
+    const posts = []
+    const axios = { post: async (url, body) => { posts.push({ url, body }); return { data: { result: { id: 'cs_1', url: 'https://pay/x' } } } } }
+    const provider = new CommonApiProvider({ axios })
+    assert.equal(provider.init(), null)
+    const plan = { id: 'plan_plus', tier: 'plus', entitlements: {}, price: '990|M', coupon: 'real' }
+    const result = await provider.createCheckout({
+        uid: 7, email: 'a@x.com', pid: 'plan_plus', plan, test: false,
+        extra: { lang: 'zh', price: '1|M', coupon: 'free100', amount: 1, app: 'other' }
+    })
+    assert.deepEqual(result, { id: 'cs_1', url: 'https://pay/x' })
+    const { body } = posts[0]
+    assert.equal(posts[0].url, 'https://common.example.com/pay/createPayment')
+    assert.equal(body.lang, 'zh')
+    assert.equal(body.price, '990|M')
+    assert.equal(body.coupon, 'real')
+    assert.equal(body.amount, undefined)
+    assert.equal(body.tier, undefined)
+})
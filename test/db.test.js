@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import pgPromise from 'pg-promise'
+import { DB } from '../db.js'
+import { silentLogger } from './helpers.js'
+
+// kv 表的行：{ key, expire }，DELETE 语句按 expire 和 LIMIT 删除
+function kvDb(rows) {
+    const calls = []
+    const db = new DB()
+    db.gl = { logger: silentLogger }
+    db.db = {
+        result: async (sql, [now, limit]) => {
+            calls.push(limit)
+            const due = rows.filter(r => r.expire !== 0 && r.expire <= now).slice(0, limit)
+            for (const r of due) rows.splice(rows.indexOf(r), 1)
+            return { rowCount: due.length }
+        }
+    }
+    return { db, calls }
+}
+
+test('sweepExpiredKV: 分批删除所有过期的 key，不删除永久和未过期的', async () => {
+    const now = Date.now()
+    const rows = [
+        ...Array.from({ length: 2500 }, (_, i) => ({ key: `e${i}`, expire: now - 1000 - i })),
+        { key: 'forever', expire: 0 },
+        { key: 'later', expire: now + 60000 }
+    ]
+    const { db, calls } = kvDb(rows)
+    assert.equal(await db.sweepExpiredKV(1000), 2500)
+    assert.deepEqual(calls, [1000, 1000, 1000])
+    assert.deepEqual(rows.map(r => r.key), ['forever', 'later'])
+    assert.equal(await db.sweepExpiredKV(1000), 0)
+})
+
+test('startKVSweeper: KV_SWEEP_INTERVAL=0 时不启动，stopKVSweeper 清除定时器', () => {
+    const saved = process.env.KV_SWEEP_INTERVAL
+    try {
+        const { db } = kvDb([])
+        process.env.KV_SWEEP_INTERVAL = '0'
+        db.startKVSweeper()
+        assert.equal(db.kvSweeper, undefined)
+        process.env.KV_SWEEP_INTERVAL = '30'
+        db.startKVSweeper()
+        assert.ok(db.kvSweeper)
+        assert.equal(db.kvSweeper.hasRef(), false)
+        db.stopKVSweeper()
+        assert.equal(db.kvSweeper, null)
+    } finally {
+        if (saved === undefined) delete process.env.KV_SWEEP_INTERVAL
+        else process.env.KV_SWEEP_INTERVAL = saved
+    }
+})
+
+test('incrKV: 只给新建的 key 设置过期时间，已过期的 key 从头计数，返回数字', async () => {
+    const db = new DB()
+    const calls = []
+    db.db = { one: async (sql, params) => { calls.push([sql, params]); return { value: '5' } } }
+    const before = Date.now()
+    assert.equal(await db.incrKV('counter', 2, { ex: 60 }), 5)
+    const [sql, [key, by, expire, now]] = calls[0]
+    assert.equal(key, 'counter')
+    assert.equal(by, 2)
+    assert.ok(now >= before && expire === now + 60000)
+    // 未过期的 key 在原值上累加并保留原过期时间，已过期的 key 使用新值和新的过期时间
+    assert.match(sql, /ON CONFLICT \(key\) DO UPDATE SET/)
+    assert.match(sql, /WHEN kv\.expire <> 0 AND kv\.expire <= \$4\s+THEN EXCLUDED\.value\s+ELSE to_jsonb\(COALESCE\(\(kv\.value #>> '\{\}'\)::bigint, 0\) \+ \$2::bigint\)/)
+    assert.match(sql, /WHEN kv\.expire <> 0 AND kv\.expire <= \$4\s+THEN EXCLUDED\.expire\s+ELSE kv\.expire END/)
+    await db.incrKV('forever')
+    const [, [, defaultBy, noExpire]] = calls[1]
+    assert.equal(defaultBy, 1)
+    assert.equal(noExpire, 0)
+})
+
+test('findMany: 任何 SQL（包括不含空白的单个词）都按原始 SQL 执行', async () => {
+    const db = new DB()
+    const calls = []
+    db.query = async (sql, params) => { calls.push([sql, params]); return { rows: [{ n: 1 }] } }
+    assert.deepEqual(await db.findMany('users'), [{ n: 1 }])
+    assert.deepEqual(await db.findMany('SELECT * FROM users WHERE uid = $1', [3]), [{ n: 1 }])
+    assert.deepEqual(calls, [['users', []], ['SELECT * FROM users WHERE uid = $1', [3]]])
+})
+
+test('findWhere: 按表名、条件、排序和分页构建查询', async () => {
+    const db = new DB()
+    db.pgp = pgPromise({ noWarnings: true })
+    const calls = []
+    db.db = { any: async sql => { calls.push(sql); return [] } }
+    await db.findWhere('webhook_inbox', { status: ['failed', 'dead'] }, { orderBy: { id: 'desc' }, limit: 10, offset: 20, columns: ['id', 'event'] })
+    assert.equal(calls[0], `SELECT "id","event" FROM "webhook_inbox" WHERE "status" IN ('failed','dead') ORDER BY "id" DESC LIMIT 10 OFFSET 20`)
+    await db.findWhere('users')
+    assert.equal(calls[1], 'SELECT * FROM "users"')
+})
+
+test('insert: JSON 列的字符串值也按 JSON 编码，null 保持 NULL', async () => {
+    const db = new DB()
+    db.pgp = pgPromise({ noWarnings: true })
+    db.getColumnTypes = async () => ({ uid: 'integer', info: 'jsonb', meta: 'json', note: 'text' })
+    const calls = []
+    db.db = { one: async sql => { calls.push(sql); return {} } }
+    await db.insert('t', { uid: 1, info: 'hello', meta: null, note: 'x' })
+    await db.insert('t', { info: { a: 1 } })
+    assert.equal(calls[0], `insert into "t"("uid","info","meta","note") values(1,'"hello"',null,'x') RETURNING *`)
+    assert.equal(calls[1], `insert into "t"("info") values('{"a":1}') RETURNING *`)
+})
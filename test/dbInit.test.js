@@ -0,0 +1,120 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { migrationStatus, loadMigrations, runMigrations } from '../dbInit.js'
+
+function fakeDb(applied) {
+    const queries = []
+    const db = {
+        gl: {},
+        db: {
+            oneOrNone: async sql => { queries.push(sql); return { t: applied ? 'schema_migrations' : null } },
+            any: async sql => { queries.push(sql); return applied || [] },
+            task: async () => { throw new Error('status 不应占用连接加锁') }
+        }
+    }
+    return { db, queries }
+}
+
+test('migrationStatus: 不加 advisory lock，也不创建 schema_migrations', async () => {
+    const { db, queries } = fakeDb([{ version: 1, name: 'initial', applied_at: '2026-01-01T00:00:00Z' }])
+    const status = await migrationStatus(db)
+    assert.equal(queries.some(sql => /pg_advisory|CREATE TABLE/i.test(sql)), false)
+    assert.equal(status[0].version, 1)
+    assert.equal(status[0].applied, true)
+    assert.equal(status.length, (await loadMigrations()).length)
+    assert.equal(status.filter(m => m.applied).length, 1)
+})
+
+test('migrationStatus: schema_migrations 不存在时全部为待应用', async () => {
+    const { db, queries } = fakeDb(null)
+    const status = await migrationStatus(db)
+    assert.equal(status.every(m => !m.applied), true)
+    assert.equal(queries.length, 1)
+})
+
+// 模拟 Postgres：pg_advisory_lock 在锁释放前阻塞，schema_migrations 记录已应用的版本
+function lockingDb() {
+    const state = { applied: new Set(), log: [], locked: null }
+    const waiters = []
+    const connection = name => ({
+        none: async (sql, params) => {
+            if (/pg_advisory_lock/.test(sql)) {
+                while (state.locked) await new Promise(resolve => waiters.push(resolve))
+                state.locked = name
+                state.log.push(`${name} lock`)
+            } else if (/pg_advisory_unlock/.test(sql)) {
+                state.locked = null
+                state.log.push(`${name} unlock`)
+                waiters.splice(0).forEach(resolve => resolve())
+            } else if (/INSERT INTO schema_migrations/.test(sql)) {
+                state.applied.add(params[0])
+            } else if (!/CREATE TABLE IF NOT EXISTS schema_migrations/.test(sql)) {
+                state.log.push(`${name} ${sql}`)
+            }
+        },
+        any: async () => [...state.applied].map(version => ({ version })),
+        tx: async callback => callback(connection(name))
+    })
+    let tasks = 0
+    const db = {
+        gl: { logger: { info() { } } },
+        db: { task: async callback => callback(connection(`t${++tasks}`)) }
+    }
+    return { db, state }
+}
+
+async function migrationsDir(files) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'))
+    for (const [name, content] of Object.entries(files)) await fs.writeFile(path.join(dir, name), content)
+    return dir
+}
+
+test('runMigrations: 按版本号顺序执行，已应用的跳过', async t => {
+    const dir = await migrationsDir({
+        '0010_c.js': 'export const up = `SELECT 10`',
+        '0002_b.js': 'export const up = async t => t.none(`SELECT 2`)',
+        '0001_a.js': 'export const up = `SELECT 1`'
+    })
+    t.after(() => fs.rm(dir, { recursive: true, force: true }))
+    const { db, state } = lockingDb()
+    const applied = await runMigrations(db, { dir })
+    assert.deepEqual(applied.map(m => m.version), [1, 2, 10])
+    assert.deepEqual(state.log, ['t1 lock', 't1 SELECT 1', 't1 SELECT 2', 't1 SELECT 10', 't1 unlock'])
+    assert.deepEqual(await runMigrations(db, { dir }), [])
+})
+
+test('runMigrations: 多个进程同时执行时由 advisory lock 串行，每个迁移只执行一次', async t => {
+    const dir = await migrationsDir({
+        '0001_a.js': 'export const up = async t => { await new Promise(r => setTimeout(r, 20)); await t.none(`SELECT 1`) }',
+        '0002_b.js': 'export const up = `SELECT 2`'
+    })
+    t.after(() => fs.rm(dir, { recursive: true, force: true }))
+    const { db, state } = lockingDb()
+    const [first, second] = await Promise.all([runMigrations(db, { dir }), runMigrations(db, { dir })])
+    assert.deepEqual(first.map(m => m.version), [1, 2])
+    assert.deepEqual(second, [])
+    assert.deepEqual(state.log, ['t1 lock', 't1 SELECT 1', 't1 SELECT 2', 't1 unlock', 't2 lock', 't2 unlock'])
+})
+
+test('runMigrations: 迁移失败时释放锁，失败的迁移不记录', async t => {
+    const dir = await migrationsDir({
+        '0001_a.js': 'export const up = `SELECT 1`',
+        '0002_b.js': 'export const up = async () => { throw new Error("boom") }',
+        '0003_c.js': 'export const up = `SELECT 3`'
+    })
+    t.after(() => fs.rm(dir, { recursive: true, force: true }))
+    const { db, state } = lockingDb()
+    await assert.rejects(runMigrations(db, { dir }), /boom/)
+    assert.deepEqual([...state.applied], [1])
+    assert.equal(state.locked, null)
+    assert.equal(state.log.at(-1), 't1 unlock')
+})
+
+test('loadMigrations: 版本号重复时报错', async t => {
+    const dir = await migrationsDir({ '0001_a.js': 'export const up = ``', '01_b.js': 'export const up = ``' })
+    t.after(() => fs.rm(dir, { recursive: true, force: true }))
+    await assert.rejects(loadMigrations(dir), /迁移版本号重复/)
+})
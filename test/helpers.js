@@ -0,0 +1,114 @@
+// 测试用的 gl：静默 logger、内存 KV、util，其它服务按需传入
+import { KV } from '../kv.js'
+import { Util } from '../common/util.js'
+
+export const silentLogger = {
+    info() { }, warn() { }, error() { }, debug() { }, flush: async () => { }
+}
+
+/**
+ * 创建测试用的 gl
+ * @param {Object} extra - 额外挂到 gl 上的对象
+ * @returns {Promise<Object>}
+ */
+export async function createGl(extra = {}) {
+    const gl = { logger: silentLogger, config: { roles: {} }, ...extra }
+    if (!gl.kv) await KV.create(gl, { backend: 'memory' })
+    if (!gl.util) await Util.create(gl)
+    return gl
+}
+
+// 模拟 fastify 的 res：记录 send 的内容
+export function fakeRes() {
+    return {
+        sent: undefined,
+        headers: {},
+        statusCode: 200,
+        send(body) { this.sent = body; return this },
+        code(code) { this.statusCode = code; return this },
+        header(name, value) { this.headers[name] = value; return this }
+    }
+}
+
+/**
+ * 内存中的 gl.db，只实现订阅、支付和 webhook 用到的表与语句（subscriptions / payments / orders / webhook_inbox）
+ * @returns {Object} db，tables 为各表的数据
+ */
+export function memoryDb() {
+    const tables = { subscriptions: [], payments: [], orders: [], webhook_inbox: [] }
+    const keys = { subscriptions: ['uid'], payments: ['order_id'], orders: ['id'], webhook_inbox: ['source', 'event_id'] }
+    let seq = 0
+    const match = (row, where) => Object.entries(where).every(([k, v]) => Array.isArray(v) ? v.includes(row[k]) : row[k] == v)
+    const find = (table, where) => tables[table].find(row => match(row, where)) || null
+    const last = (table, where) => tables[table].filter(row => match(row, where)).at(-1) || null
+    return {
+        tables,
+        async findOne(sql, params = []) {
+            if (sql.startsWith('SELECT * FROM subscriptions WHERE uid')) return find('subscriptions', { uid: params[0] })
+            if (sql.includes('UPDATE subscriptions SET status')) {
+                const [uid, status, graceDays, canceled] = params
+                const sub = find('subscriptions', { uid })
+                if (!sub || sub.status === canceled) return null
+                const grace = new Date(Date.now() + graceDays * 86400000)
+                return Object.assign(sub, { status, current_period_end: grace > sub.current_period_end ? grace : sub.current_period_end })
+            }
+            if (sql.includes('FROM payments WHERE order_id = $1 OR')) {
+                return tables.payments.find(p => p.order_id === params[0] || (params[1] && p.meta?.paymentIntent === params[1])) || null
+            }
+            if (sql.includes('FROM payments WHERE order_id = $1 AND uid = $2')) return find('payments', { order_id: params[0], uid: params[1] })
+            if (sql.includes('FROM payments WHERE order_id = $1')) return find('payments', { order_id: params[0] })
+            if (sql.includes('FROM payments WHERE uid = $1 ORDER BY id DESC')) return last('payments', { uid: params[0] })
+            if (sql.includes('FROM orders WHERE uid = $1')) return last('orders', { uid: params[0] })
+            if (sql.includes('FROM orders WHERE id = $1')) return find('orders', { id: params[0] })
+            if (sql.includes("UPDATE webhook_inbox SET status = 'processing'")) {
+                const row = find('webhook_inbox', { id: params[0] })
+                const stale = row?.status === 'processing' && row.processing_until < new Date()
+                if (!row || !(params[1].includes(row.status) || stale)) return null
+                return Object.assign(row, { status: 'processing', attempts: row.attempts + 1, processing_until: new Date(Date.now() + 300000) })
+            }
+            if (sql.includes('FROM webhook_inbox WHERE source = $1 AND event_id = $2')) return find('webhook_inbox', { source: params[0], event_id: params[1] })
+            if (sql.includes('FROM webhook_inbox WHERE id = $1')) return find('webhook_inbox', { id: params[0] })
+            throw new Error(`memoryDb 不支持: ${sql}`)
+        },
+        async query(sql, params = []) {
+            if (sql.startsWith('UPDATE payments SET meta = meta ||')) {
+                const payment = find('payments', { id: params[0] })
+                payment.meta = { ...payment.meta, ...params[1] }
+                return { rows: [], rowCount: 1 }
+            }
+            throw new Error(`memoryDb 不支持: ${sql}`)
+        },
+        async upsert(table, data, conflict, { update } = {}) {
+            if (!tables[table]) throw new Error(`memoryDb 不支持: ${table}`)
+            const old = find(table, Object.fromEntries(keys[table].map(k => [k, data[k]])))
+            if (old && update && !update.length) return null
+            if (old) return Object.assign(old, update ? Object.fromEntries(update.map(k => [k, data[k]])) : data)
+            const defaults = { payments: { amount: String(data.amount) }, webhook_inbox: { status: 'received', attempts: 0 } } // BIGINT 返回字符串
+            const row = { id: ++seq, ...data, ...defaults[table] }
+            tables[table].push(row)
+            return row
+        },
+        async update(table, data, where) {
+            if (!tables[table]) throw new Error(`memoryDb 不支持: ${table}`)
+            const row = find(table, where)
+            return row ? Object.assign(row, data) : null
+        }
+    }
+}
+
+/**
+ * 同步的事件总线：publish 时直接调用订阅者（gl.events 的简化版，不落库、不重试）
+ */
+export function syncEvents() {
+    const subscribers = []
+    return {
+        subscribe(event, name, handler) { subscribers.push({ event, name, handler }) },
+        hasSubscribers: event => subscribers.some(s => s.event === event),
+        async publish(event, payload) {
+            const handlers = subscribers.filter(s => s.event === event)
+            for (const { handler } of handlers) await handler(structuredClone(payload))
+            return { handlers: handlers.length }
+        },
+        async poll() { }
+    }
+}
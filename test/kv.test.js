@@ -0,0 +1,67 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { KV, RedisKV, MemoryKV } from '../kv.js'
+import { DB } from '../db.js'
+import { silentLogger } from './helpers.js'
+
+const env = { NODE_ENV: process.env.NODE_ENV, KV_BACKEND: process.env.KV_BACKEND }
+
+afterEach(() => {
+    for (const [name, value] of Object.entries(env)) {
+        if (value === undefined) delete process.env[name]
+        else process.env[name] = value
+    }
+})
+
+test('init: 生产环境没有 redis 和数据库时启动失败', async () => {
+    process.env.NODE_ENV = 'production'
+    delete process.env.KV_BACKEND
+    await assert.rejects(KV.create({ logger: silentLogger }), /生产环境需要启用 redis 或数据库/)
+})
+
+test('init: 生产环境显式配置 KV_BACKEND=memory 时使用内存', async () => {
+    process.env.NODE_ENV = 'production'
+    process.env.KV_BACKEND = 'memory'
+    const gl = { logger: silentLogger }
+    await KV.create(gl)
+    assert.equal(gl.kv.backend, 'memory')
+})
+
+test('init: 非生产环境没有 redis 和数据库时使用内存', async () => {
+    delete process.env.NODE_ENV
+    delete process.env.KV_BACKEND
+    const gl = { logger: silentLogger }
+    await KV.create(gl)
+    assert.equal(gl.kv.backend, 'memory')
+})
+
+test('DB.getKV / mgetKV: 不是 JSON 的旧值原样返回字符串', async () => {
+    const db = new DB()
+    const rows = { a: '{"n":1}', b: '"text"', c: 'legacy raw', d: '123' }
+    db.db = {
+        oneOrNone: async (sql, [key]) => rows[key] === undefined ? null : { value: rows[key], expire: 0 },
+        any: async (sql, [keys]) => keys.filter(k => rows[k] !== undefined).map(key => ({ key, value: rows[key] }))
+    }
+    assert.deepEqual(await db.getKV('a'), { n: 1 })
+    assert.equal(await db.getKV('b'), 'text')
+    assert.equal(await db.getKV('c'), 'legacy raw')
+    assert.deepEqual(await db.getKV('c', { withTTL: true }), { value: 'legacy raw', ttlSec: -1 })
+    assert.deepEqual(await db.mgetKV(['a', 'c', 'd', 'x']), [{ n: 1 }, 'legacy raw', 123, null])
+})
+
+test('RedisKV: 直接写入 Redis 的原始字符串原样返回', async () => {
+    const kv = new RedisKV({ get: async () => 'raw-token', mget: async (...keys) => ['"s"', 'raw', null] })
+    assert.equal(await kv.get('k'), 'raw-token')
+    assert.deepEqual(await kv.mget(['a', 'b', 'c']), ['s', 'raw', null])
+})
+
+test('MemoryKV: 不是 JSON 的值和 undefined 与其它后端一样处理', async () => {
+    const kv = new MemoryKV()
+    kv.map.set('raw', { value: 'legacy raw', expire: 0 })
+    assert.equal(await kv.get('raw'), 'legacy raw')
+    assert.deepEqual(await kv.get('raw', { withTTL: true }), { value: 'legacy raw', ttlSec: -1 })
+    await kv.set('undef', undefined)
+    assert.equal(await kv.get('undef'), null)
+    assert.deepEqual(await kv.mget(['raw', 'undef', 'missing']), ['legacy raw', null, null])
+    assert.equal(await kv.incr('raw'), 1)
+})
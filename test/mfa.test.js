@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fastify from 'fastify'
+import { Mfa } from '../mfa.js'
+import { createGl } from './helpers.js'
+
+async function setup() {
+    process.env.MFA_MAX_FAILURES = '7'
+    const gl = await createGl()
+    const mfa = new Mfa()
+    mfa.gl = gl
+    await mfa.init(gl)
+    mfa.verify = async (uid, code) => code === '000000'
+    return { gl, mfa }
+}
+
+test('completeChallenge: 错误次数按用户累计，换 pendingToken 后仍然锁定', async () => {
+    const { gl, mfa } = await setup()
+    let token = await mfa.createChallenge({ uid: 7 })
+    let failures = 0
+    while (failures < 7) {
+        const { err } = await mfa.completeChallenge({ pendingToken: token, code: '111111' })
+        if (err === 'too-many-attempts') {
+            token = await mfa.createChallenge({ uid: 7 })
+            continue
+        }
+        assert.equal(err, 'invalid-code')
+        failures++
+    }
+    token = await mfa.createChallenge({ uid: 7 })
+    const locked = await mfa.completeChallenge({ pendingToken: token, code: '000000' })
+    assert.equal(locked.err, '2fa-locked')
+    assert.ok(locked.retryAfter > 0)
+    // pendingToken 已作废
+    assert.equal((await mfa.completeChallenge({ pendingToken: token, code: '000000' })).err, 'login-expired')
+    // 其它用户不受影响，成功后清除计数
+    await gl.kv.set('mfa_fail_8', 3)
+    const ok = await mfa.completeChallenge({ pendingToken: await mfa.createChallenge({ uid: 8 }), code: '000000' })
+    assert.equal(ok.uid, 8)
+    assert.equal(await gl.kv.get('mfa_fail_8'), null)
+})
+
+test('disable / enable / recoveryCodes: 验证码错误计入同一计数，锁定后正确的验证码也被拒绝', async () => {
+    const { gl, mfa } = await setup()
+    const records = { 9: { uid: 9, secret: 'S', enabled_at: new Date() } }
+    mfa.getRecord = async uid => records[uid] || null
+    mfa.useTotp = async (record, code) => code === '000000'
+    gl.db = { delete: async () => { } }
+    for (let i = 0; i < 6; i++) assert.equal((await mfa.disable(9, '111111')).err, 'invalid-code')
+    assert.equal((await mfa.regenerateRecoveryCodes(9, '111111')).err, 'invalid-code')
+    const locked = await mfa.disable(9, '000000')
+    assert.equal(locked.err, '2fa-locked')
+    assert.ok(locked.retryAfter > 0)
+    assert.equal((await mfa.regenerateRecoveryCodes(9, '000000')).err, '2fa-locked')
+    // 登录也被锁定
+    assert.equal((await mfa.completeChallenge({ pendingToken: await mfa.createChallenge({ uid: 9 }), code: '000000' })).err, '2fa-locked')
+    // 启用前的确认同样计数
+    records[10] = { uid: 10, secret: 'S', enabled_at: null }
+    await gl.kv.set('mfa_fail_10', 7, { ex: 60 })
+    assert.equal((await mfa.enable(10, '000000')).err, '2fa-locked')
+})
+
+test('POST /user/2fa/disable: 锁定时返回 2fa-locked 和 retry-after 头', async () => {
+    const { gl, mfa } = await setup()
+    mfa.getRecord = async uid => ({ uid, secret: 'S', enabled_at: new Date() })
+    await gl.kv.set('mfa_fail_9', 7, { ex: 600 })
+    const app = fastify()
+    app.addHook('preHandler', async req => { req.uid = 9 })
+    await mfa.regEndpoints(app)
+    const res = await app.inject({ method: 'POST', url: '/user/2fa/disable', payload: { code: '000000' } })
+    assert.deepEqual(res.json(), { err: '2fa-locked' })
+    assert.ok(Number(res.headers['retry-after']) > 0)
+    await app.close()
+})
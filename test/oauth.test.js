@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fastify from 'fastify'
+import fastifyCookie from '@fastify/cookie'
+import { OAuth } from '../oauth.js'
+import { createGl } from './helpers.js'
+
+async function setup() {
+    process.env.OAUTH_GITHUB_CLIENT_ID = 'cid'
+    process.env.OAUTH_GITHUB_CLIENT_SECRET = 'secret'
+    const app = fastify()
+    await app.register(fastifyCookie)
+    const gl = await createGl({ app, user: {} })
+    await OAuth.create(gl)
+    await app.ready()
+    return { gl, app }
+}
+
+test('OAuth 回调：state 必须与发起登录的浏览器 cookie 一致', async () => {
+    const { gl, app } = await setup()
+    const start = await app.inject({ method: 'GET', url: '/oauth/github/start', headers: { host: 'api.example.com' } })
+    assert.equal(start.statusCode, 302)
+    const state = new URL(start.headers.location).searchParams.get('state')
+    const cookie = start.cookies.find(c => c.name === 'oauth_state')
+    assert.equal(cookie.httpOnly, true)
+    assert.equal(cookie.sameSite, 'Lax')
+
+    // 另一个浏览器（没有 cookie）拿到回调地址
+    const other = await app.inject({ method: 'GET', url: `/oauth/github/callback?code=c&state=${state}`, headers: { host: 'api.example.com' } })
+    assert.deepEqual(other.json(), { err: 'invalid-state' })
+    assert.ok(await gl.kv.get(`oauth_state_${state}`), 'state 没有被消耗')
+
+    // 发起登录的浏览器：通过 cookie 校验，进入换取 token 的步骤
+    gl.oauth.exchangeCode = async () => { throw new Error('stop') }
+    const same = await app.inject({
+        method: 'GET', url: `/oauth/github/callback?code=c&state=${state}`,
+        headers: { host: 'api.example.com' }, cookies: { oauth_state: cookie.value }
+    })
+    assert.deepEqual(same.json(), { err: 'oauth-failed' })
+    assert.equal(await gl.kv.get(`oauth_state_${state}`), null)
+})
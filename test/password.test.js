@@ -0,0 +1,78 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import { User } from '../user.js'
+import { createGl } from './helpers.js'
+
+async function setup(row) {
+    process.env.PASSWORD_SCRYPT_N = '1024'
+    const updates = []
+    const gl = await createGl({
+        db: {
+            findOne: async () => row && { ...row },
+            update: async (table, data, where) => { updates.push([table, data, where]); return { ...where, ...data } }
+        }
+    })
+    const user = new User()
+    user.gl = gl
+    await user.init(gl)
+    return { user, updates }
+}
+
+// 旧格式：salt:hex(pbkdf2-sha512, 10000 次)
+function legacyHash(password, salt = 'legacy-salt') {
+    return `${salt}:${crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex')}`
+}
+
+test('hashPassword / verifyPassword: scrypt 哈希带参数，错误密码和篡改的哈希都验证失败', async () => {
+    const { user } = await setup()
+    const hash = await user.hashPassword('correct horse')
+    assert.match(hash, /^\$scrypt\$N=1024,r=8,p=1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/)
+    assert.notEqual(hash, await user.hashPassword('correct horse'))
+    assert.equal(await user.verifyPassword('correct horse', hash), true)
+    assert.equal(await user.verifyPassword('correct horse!', hash), false)
+    const parts = hash.split('$')
+    const tampered = Buffer.from(parts[4], 'base64')
+    tampered[0] ^= 1
+    parts[4] = tampered.toString('base64')
+    assert.equal(await user.verifyPassword('correct horse', parts.join('$')), false)
+    assert.equal(await user.verifyPassword('correct horse', 'garbage'), false)
+})
+
+test('verifyPassword: 调整参数后旧参数的哈希仍可验证，但需要重新加密', async () => {
+    const { user } = await setup()
+    const hash = await user.hashPassword('pw-123456')
+    user.scryptParams = { ...user.scryptParams, N: 2048 }
+    assert.equal(await user.verifyPassword('pw-123456', hash), true)
+    assert.equal(user.needsRehash(hash), true)
+    assert.equal(user.needsRehash(await user.hashPassword('pw-123456')), false)
+})
+
+test('verifyPassword: 兼容旧格式 pbkdf2 哈希', async () => {
+    const { user } = await setup()
+    assert.equal(await user.verifyPassword('old-password', legacyHash('old-password')), true)
+    assert.equal(await user.verifyPassword('old-passwore', legacyHash('old-password')), false)
+    assert.equal(user.needsRehash(legacyHash('old-password')), true)
+})
+
+test('authenticateUser: 旧格式密码登录成功时用 scrypt 重新加密', async () => {
+    const { user, updates } = await setup({ uid: 3, email: 'a@x.com', pass: legacyHash('old-password'), status: 1 })
+    const info = await user.authenticateUser({ email: 'a@x.com', password: 'old-password' })
+    assert.equal(info.uid, 3)
+    assert.equal(info.pass, undefined)
+    assert.equal(updates.length, 1)
+    const [table, { pass }, where] = updates[0]
+    assert.equal(table, 'users')
+    assert.deepEqual(where, { uid: 3 })
+    assert.match(pass, /^\$scrypt\$N=1024,r=8,p=1\$/)
+    assert.equal(await user.verifyPassword('old-password', pass), true)
+})
+
+test('authenticateUser: 密码错误或已是当前参数时不重新加密', async () => {
+    const { user, updates } = await setup({ uid: 3, email: 'a@x.com', pass: legacyHash('old-password'), status: 1 })
+    assert.equal(await user.authenticateUser({ email: 'a@x.com', password: 'wrong' }), null)
+    assert.equal(updates.length, 0)
+    const current = await setup({ uid: 4, email: 'b@x.com', pass: await user.hashPassword('new-password'), status: 1 })
+    assert.equal((await current.user.authenticateUser({ email: 'b@x.com', password: 'new-password' })).uid, 4)
+    assert.equal(current.updates.length, 0)
+})
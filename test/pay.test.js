@@ -0,0 +1,128 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fastify from 'fastify'
+import { Config } from '../config.js'
+import { Subscription } from '../subscription.js'
+import { SUBSCRIPTION_STATUS } from '../common/constants.js'
+import { Pay } from '../pay.js'
+import { Webhook } from '../webhook.js'
+import { FakeProvider } from '../payProviders/fake.js'
+import { createAuthGuard } from '../common/authGuard.js'
+import { sign } from '../common/signature.js'
+import { createGl, memoryDb, syncEvents } from './helpers.js'
+
+// 完整的支付流程：fake 渠道 -> /notify/pay/fake（签名校验、webhook_inbox 去重）-> 事件 -> subscription
+async function setup() {
+    process.env.PAY_PROVIDER = 'fake'
+    process.env.FAKE_PAY_SECRET = 'test-secret'
+    const app = fastify()
+    const gl = await createGl({ config: { ...Config, roles: { admin: ['*'] } }, db: memoryDb(), events: syncEvents(), app })
+    gl.user = {
+        getUser: async ({ uid }) => ({ uid, email: `u${uid}@x.com` }),
+        hasRole: async (uid, role) => uid === 1 && role === 'admin'
+    }
+    app.addHook('preHandler', async req => { req.uid = Number(req.headers['x-test-uid']) || undefined })
+    app.addHook('preHandler', createAuthGuard(gl))
+    await Subscription.create(gl)
+    await Pay.create(gl)
+    await Webhook.create(gl)
+    await app.ready()
+    return { gl, app, fake: gl.pay.provider }
+}
+
+const inject = (app, uid, method, url, payload) => app.inject({ method, url, payload, headers: { 'x-test-uid': String(uid) } }).then(res => res.json())
+
+function signed(fake, body) {
+    const ts = Math.floor(Date.now() / 1000)
+    return { 'x-fake-timestamp': String(ts), 'x-fake-signature': sign(fake.secret, ts, JSON.stringify(body)) }
+}
+
+test('fake 渠道：试用、续费、续费失败、取消、退款', async () => {
+    const { gl, app, fake } = await setup()
+    const { subscription, db } = gl
+
+    // 下单并完成支付：plan_plus 有 3 天试用
+    const { result: checkout } = await inject(app, 7, 'POST', '/pay/createPaymentUrl', { pid: 'plan_plus' })
+    assert.equal(checkout.url, `/pay/fake/checkout/${checkout.id}`)
+    const { result: paid } = await inject(app, 7, 'GET', checkout.url)
+    let plan = await subscription.getPlan(7)
+    assert.equal(plan.status, SUBSCRIPTION_STATUS.TRIALING)
+    assert.equal(db.tables.orders[0].id, paid.id)
+    assert.equal(db.tables.payments[0].amount, '0')
+
+    // 续费
+    const renewed = await fake.simulate('renewed', { orderId: paid.id })
+    assert.deepEqual(renewed.response, { result: 'processed', duplicate: false })
+    plan = await subscription.getPlan(7)
+    assert.equal(plan.status, SUBSCRIPTION_STATUS.ACTIVE)
+    assert.equal(db.tables.payments.at(-1).amount, '990')
+
+    // 续费失败进入宽限期，仍然有效
+    await fake.simulate('failed', { orderId: paid.id })
+    assert.equal((await subscription.getPlan(7)).status, SUBSCRIPTION_STATUS.PAST_DUE)
+    assert.ok(await subscription.hasFeature(7, 'export'))
+
+    // 到期取消：仍然有效，渠道不再续费
+    assert.equal((await inject(app, 7, 'POST', '/pay/cancelPlan')).result.cancelAtPeriodEnd, true)
+    await assert.rejects(fake.simulate('renewed', { orderId: paid.id }), /订阅已取消/)
+
+    // 部分退款不影响订阅，全额退款最近一笔后立即取消
+    const payment = await gl.pay.getPayment({ uid: 7 })
+    assert.deepEqual(await inject(app, 1, 'POST', '/admin/pay/refund', { uid: 7, amount: 100 }), { result: 'ok' })
+    assert.equal(db.tables.payments.at(-1).meta.refunded, 100)
+    assert.equal((await subscription.getPlan(7)).id, 'plan_plus')
+    await fake.refund({ payment: await gl.pay.getPayment({ uid: 7, paymentId: payment.order_id }) })
+    assert.equal(db.tables.payments.at(-1).meta.refunded, 990)
+    assert.equal((await subscription.get(7)).status, SUBSCRIPTION_STATUS.CANCELED)
+    assert.equal((await subscription.getPlan(7)).id, 'free')
+
+    // 同一事件再次收到时去重
+    const again = await app.inject({
+        method: 'POST', url: '/notify/pay/fake', payload: JSON.stringify({ id: renewed.id, event: renewed.event, data: renewed.data }),
+        headers: { 'content-type': 'application/json', ...signed(fake, { id: renewed.id, event: renewed.event, data: renewed.data }) }
+    })
+    assert.deepEqual(again.json(), { result: 'processed', duplicate: true })
+    assert.equal((await subscription.get(7)).status, SUBSCRIPTION_STATUS.CANCELED)
+})
+
+test('fake 渠道：渠道取消订阅后立即失效', async () => {
+    const { app, gl, fake } = await setup()
+    const { result: checkout } = await inject(app, 8, 'POST', '/pay/createPaymentUrl', { pid: 'plan_plus_year' })
+    const { result: paid } = await inject(app, 8, 'GET', checkout.url)
+    assert.equal((await gl.subscription.getPlan(8)).id, 'plan_plus_year')
+    assert.deepEqual(await inject(app, 8, 'POST', '/pay/createPaymentUrl', { pid: 'plan_plus_year' }), { err: 'already-subscribed' })
+    await fake.simulate('canceled', { orderId: paid.id })
+    assert.equal((await gl.subscription.get(8)).status, SUBSCRIPTION_STATUS.CANCELED)
+    assert.equal((await gl.subscription.getPlan(8)).id, 'free')
+})
+
+test('fake 渠道：签名错误返回 401，未配置密钥时不能启动', async () => {
+    const { app } = await setup()
+    const res = await app.inject({
+        method: 'POST', url: '/notify/pay/fake', payload: '{}',
+        headers: { 'content-type': 'application/json', 'x-fake-timestamp': String(Math.floor(Date.now() / 1000)), 'x-fake-signature': 'bad' }
+    })
+    assert.equal(res.statusCode, 401)
+    assert.equal((await app.inject({ method: 'POST', url: '/notify/pay/stripe', payload: {} })).statusCode, 404)
+    delete process.env.FAKE_PAY_SECRET
+    assert.equal(new FakeProvider({}).init(), '未配置 FAKE_PAY_SECRET')
+})
+
+test('fake 渠道：ID 按固定批次和 KV 中的序号生成', async () => {
+    const first = await setup()
+    const second = await setup()
+    const a = await first.fake.createCheckout({ uid: 1, pid: 'plan_plus' })
+    const b = await second.fake.createCheckout({ uid: 1, pid: 'plan_plus' })
+    assert.equal(a.id, 'fake_cs_dev_1')
+    assert.equal(b.id, a.id)
+    assert.equal((await first.fake.createCheckout({ uid: 1, pid: 'plan_plus' })).id, 'fake_cs_dev_2')
+})
+
+test('/pay/plans 只返回公开字段，/pay/cancelPlan 只接受 POST', async () => {
+    const { app } = await setup()
+    const plans = await inject(app, 7, 'GET', '/pay/plans')
+    assert.deepEqual(Object.keys(plans), Object.keys(Config.plans))
+    assert.deepEqual(Object.keys(plans.plan_plus).sort(), ['entitlements', 'id', 'name', 'price', 'tier', 'trial'])
+    assert.equal(plans.plan_plus.trial, 3)
+    assert.equal((await app.inject({ method: 'GET', url: '/pay/cancelPlan', headers: { 'x-test-uid': '7' } })).statusCode, 404)
+})
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ServiceLoader } from '../common/serviceLoader.js'
+import { BaseService } from '../common/baseService.js'
+import { Pay } from '../pay.js'
+import { Webhook } from '../webhook.js'
+import { silentLogger } from './helpers.js'
+
+function stub(name, deps = []) {
+    return class extends BaseService {
+        static serviceName = name
+        static deps = deps
+    }
+}
+
+const registry = {
+    db: async () => stub('db'),
+    events: async () => stub('events', ['db']),
+    user: async () => stub('user', ['db']),
+    subscription: async () => stub('subscription', ['db']),
+    webhook: async () => Webhook,
+    pay: async () => Pay
+}
+
+test('resolve: 启用 pay 时缺少 events 或 webhook 启动报错，webhook 在 pay 之前启动', async () => {
+    const loader = new ServiceLoader({ logger: silentLogger }, registry)
+    await assert.rejects(loader.resolve(['db', 'user', 'subscription', 'pay']), /pay 依赖 events, webhook/)
+    await assert.rejects(loader.resolve(['db', 'user', 'subscription', 'webhook', 'pay']), /pay 依赖 events/)
+    const order = (await loader.resolve(['db', 'events', 'webhook', 'user', 'subscription', 'pay'])).map(cls => cls.gname)
+    assert.ok(order.indexOf('webhook') < order.indexOf('pay'))
+})
@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { sign, verifySignature } from '../common/signature.js'
+
+const rawBody = Buffer.from('{"id":"evt_1","event":"order_paid"}')
+const now = () => Math.floor(Date.now() / 1000)
+
+test('verifySignature: 正确的签名通过，支持 sha256= 前缀和多个签名', () => {
+    const ts = now()
+    const signature = sign('s1', ts, rawBody)
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: ts, signatures: signature }), null)
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: String(ts), signatures: `sha256=${signature}` }), null)
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: ts, signatures: ['00', signature] }), null)
+})
+
+test('verifySignature: 错误的密钥、篡改的请求体或时间戳都被拒绝', () => {
+    const ts = now()
+    const signature = sign('s1', ts, rawBody)
+    assert.equal(verifySignature({ secrets: ['s2'], rawBody, timestamp: ts, signatures: signature }), 'invalid-signature')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody: Buffer.from('{}'), timestamp: ts, signatures: signature }), 'invalid-signature')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: ts - 1, signatures: signature }), 'invalid-signature')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: ts, signatures: signature.slice(0, 32) }), 'invalid-signature')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: ts, signatures: 'not-hex' }), 'invalid-signature')
+})
+
+test('verifySignature: 密钥轮换时新旧密钥都有效', () => {
+    const ts = now()
+    assert.equal(verifySignature({ secrets: ['new', 'old'], rawBody, timestamp: ts, signatures: sign('old', ts, rawBody) }), null)
+    assert.equal(verifySignature({ secrets: ['new', 'old'], rawBody, timestamp: ts, signatures: sign('new', ts, rawBody) }), null)
+})
+
+test('verifySignature: 时间戳超出 tolerance 时拒绝', () => {
+    const old = now() - 301
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: old, signatures: sign('s1', old, rawBody) }), 'timestamp-out-of-range')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: old, signatures: sign('s1', old, rawBody), tolerance: 600 }), null)
+    const future = now() + 301
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: future, signatures: sign('s1', future, rawBody) }), 'timestamp-out-of-range')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: 'abc', signatures: sign('s1', 'abc', rawBody) }), 'timestamp-out-of-range')
+})
+
+test('verifySignature: 缺少配置或签名', () => {
+    const ts = now()
+    assert.equal(verifySignature({ secrets: [], rawBody, timestamp: ts, signatures: 'x' }), 'webhook-not-configured')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, timestamp: ts, signatures: [] }), 'missing-signature')
+    assert.equal(verifySignature({ secrets: ['s1'], rawBody, signatures: sign('s1', ts, rawBody) }), 'missing-signature')
+})
@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { StripeProvider } from '../payProviders/stripe.js'
+import { sign } from '../common/signature.js'
+
+const plans = { plan_plus: { stripe_price: 'price_plus' }, plan_pro: { stripe_price: 'price_pro' } }
+
+function setup() {
+    process.env.STRIPE_SECRET_KEY = 'sk_test'
+    process.env.STRIPE_WEBHOOK_SECRET = 'old,whsec'
+    const stripe = new StripeProvider({ config: { plans } })
+    assert.equal(stripe.init(), null)
+    return stripe
+}
+
+function invoice(lines, metadata = { uid: '7', pid: 'plan_plus' }) {
+    return {
+        id: 'in_1', subscription: 'sub_1', customer: 'cus_1', payment_intent: 'pi_1', amount_paid: 990,
+        billing_reason: 'subscription_update', subscription_details: { metadata }, lines: { data: lines }
+    }
+}
+
+test('toEvent: 按账单明细的价格ID确定套餐（Billing Portal 换套餐后 metadata 不变）', () => {
+    const stripe = setup()
+    const changed = stripe.toEvent('invoice.paid', invoice([
+        { proration: true, price: { id: 'price_plus' }, period: { end: 1 } },
+        { proration: false, price: { id: 'price_pro' }, period: { end: 1800000000 } }
+    ]))
+    assert.equal(changed.event, 'order_paid')
+    assert.equal(changed.data.pid, 'plan_pro')
+    assert.equal(changed.data.endTime, 1800000000)
+    // 新版 API 的价格在 pricing.price_details 中
+    assert.equal(stripe.toEvent('invoice.paid', invoice([{ pricing: { price_details: { price: 'price_pro' } } }])).data.pid, 'plan_pro')
+    // 未知价格时退回 metadata
+    assert.equal(stripe.toEvent('invoice.paid', invoice([{ price: { id: 'price_x' } }])).data.pid, 'plan_plus')
+})
+
+test('parseWebhook: 校验签名，支持多个密钥和多个 v1', async () => {
+    const stripe = setup()
+    const rawBody = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'invoice.paid', data: { object: invoice([{ price: { id: 'price_plus' } }]) } }))
+    const t = Math.floor(Date.now() / 1000)
+    const ok = await stripe.parseWebhook({ headers: { 'stripe-signature': `t=${t},v1=deadbeef,v1=${sign('whsec', t, rawBody)}` }, rawBody })
+    assert.equal(ok.id, 'evt_1')
+    assert.equal(ok.data.uid, 7)
+    const bad = await stripe.parseWebhook({ headers: { 'stripe-signature': `t=${t},v1=${sign('nope', t, rawBody)}` }, rawBody })
+    assert.ok(bad.err)
+})
@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Subscription } from '../subscription.js'
+import { SUBSCRIPTION_STATUS } from '../common/constants.js'
+import { Config } from '../config.js'
+import { createGl, memoryDb } from './helpers.js'
+
+const DAY = 86400
+
+async function setup() {
+    const gl = await createGl({ config: Config, db: memoryDb() })
+    const subscription = new Subscription()
+    subscription.gl = gl
+    await subscription.init(gl)
+    return { gl, subscription }
+}
+
+const now = () => Math.floor(Date.now() / 1000)
+const daysLeft = sub => (new Date(sub.current_period_end).getTime() / 1000 - now()) / DAY
+
+test('handleOrderPaid: 更换套餐的补偿时间在续费后保留', async () => {
+    const { subscription } = await setup()
+    await subscription.handleOrderPaid({ uid: 1, id: 's1', paymentId: 'p1', pid: 'plan_plus', endTime: now() + 15 * DAY })
+    // 剩余 15 天月付，折算成年付约 18.25 天
+    await subscription.handleOrderPaid({ uid: 1, id: 's2', paymentId: 'p2', pid: 'plan_plus_year', endTime: now() + 365 * DAY })
+    let sub = await subscription.get(1)
+    assert.equal(sub.plan, 'plan_plus_year')
+    assert.ok(Math.abs(sub.credit_seconds / DAY - 18.25) < 0.1)
+    assert.ok(Math.abs(daysLeft(sub) - 383.25) < 0.1)
+    // 续费时渠道给出的到期时间不含补偿，补偿仍然加上
+    await subscription.handleOrderPaid({ uid: 1, id: 's2', paymentId: 'p3', pid: 'plan_plus_year', endTime: now() + 730 * DAY, renewal: true })
+    sub = await subscription.get(1)
+    assert.ok(Math.abs(daysLeft(sub) - 748.25) < 0.1)
+})
+
+test('handleOrderPaid: 渠道已按比例结算时不再补偿', async () => {
+    const { subscription } = await setup()
+    await subscription.handleOrderPaid({ uid: 2, id: 's1', paymentId: 'p1', pid: 'plan_plus', endTime: now() + 15 * DAY })
+    await subscription.handleOrderPaid({ uid: 2, id: 's1', paymentId: 'p2', pid: 'plan_plus_year', endTime: now() + 365 * DAY, prorated: true })
+    const sub = await subscription.get(2)
+    assert.equal(sub.credit_seconds, 0)
+    assert.ok(Math.abs(daysLeft(sub) - 365) < 0.01)
+    assert.equal(sub.status, SUBSCRIPTION_STATUS.ACTIVE)
+})
+
+test('handleOrderPaid: 重复的付款通知不会恢复已取消的订阅', async () => {
+    const { gl, subscription } = await setup()
+    const paid = { uid: 3, id: 's1', paymentId: 'p1', pid: 'plan_plus', amount: 990, endTime: now() + 30 * DAY }
+    await subscription.handleOrderPaid(paid)
+    await subscription.handleOrderRefunded({ paymentId: 'p1', amount: 990 })
+    assert.equal((await subscription.get(3)).status, SUBSCRIPTION_STATUS.CANCELED)
+    await subscription.handleOrderPaid(paid)
+    assert.equal((await subscription.get(3)).status, SUBSCRIPTION_STATUS.CANCELED)
+    assert.equal(gl.db.tables.payments.length, 1)
+    // 付款已记录但订阅没有更新时（上次处理中断），重试仍然开通
+    const next = { uid: 4, id: 's2', paymentId: 'p2', pid: 'plan_plus', amount: 990, endTime: now() + 30 * DAY }
+    await gl.db.upsert('payments', { uid: 4, amount: 990, order_id: 'p2', meta: next }, 'order_id', { update: [] })
+    await subscription.handleOrderPaid(next)
+    assert.equal((await subscription.getPlan(4)).id, 'plan_plus')
+})
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { base32Encode, base32Decode, totp, verifyTotp } from '../common/totp.js'
+import { Mfa } from '../mfa.js'
+import { createGl } from './helpers.js'
+
+// RFC 6238 附录 B 的 SHA1 测试向量，密钥为 ASCII "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'))
+const VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+]
+
+test('base32: 编码与解码互逆', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    assert.equal(base32Decode(SECRET.toLowerCase()).toString(), '12345678901234567890')
+    assert.throws(() => base32Decode('A1'), /base32/)
+})
+
+test('totp: RFC 6238 测试向量', () => {
+    for (const [time, code] of VECTORS) {
+        assert.equal(totp(SECRET, Math.floor(time / 30), 8), code, `T=${time}`)
+        assert.equal(totp(SECRET, Math.floor(time / 30)), code.slice(-6), `T=${time}`)
+    }
+})
+
+test('verifyTotp: 允许前后一个时间片，返回匹配的时间片序号', () => {
+    const now = 1111111111 * 1000
+    const counter = Math.floor(now / 30000)
+    assert.equal(verifyTotp(SECRET, '050471', { now }), counter)
+    assert.equal(verifyTotp(SECRET, '050 471', { now }), counter)
+    assert.equal(verifyTotp(SECRET, totp(SECRET, counter - 1), { now }), counter - 1)
+    assert.equal(verifyTotp(SECRET, totp(SECRET, counter + 1), { now }), counter + 1)
+    assert.equal(verifyTotp(SECRET, totp(SECRET, counter - 2), { now }), null)
+    assert.equal(verifyTotp(SECRET, '12345', { now }), null)
+    assert.equal(verifyTotp(SECRET, 'abcdef', { now }), null)
+})
+
+test('useTotp: 同一时间片的验证码只能使用一次，更早的时间片也被拒绝', async () => {
+    const gl = await createGl()
+    const record = { uid: 1, secret: SECRET, last_counter: 0 }
+    // 与 UPDATE ... WHERE last_counter < $2 的语义一致
+    gl.db = {
+        findOne: async (sql, [uid, counter]) => {
+            if (record.last_counter >= counter) return null
+            record.last_counter = counter
+            return { uid }
+        }
+    }
+    const mfa = new Mfa()
+    mfa.gl = gl
+    const counter = Math.floor(Date.now() / 30000)
+    assert.equal(await mfa.useTotp(record, totp(SECRET, counter)), true)
+    assert.equal(record.last_counter, counter)
+    assert.equal(await mfa.useTotp(record, totp(SECRET, counter)), false)
+    assert.equal(await mfa.useTotp(record, totp(SECRET, counter - 1)), false)
+    assert.equal(await mfa.useTotp(record, totp(SECRET, counter + 1)), true)
+})
@@ -0,0 +1,198 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fastify from 'fastify'
+import { User } from '../user.js'
+import { USER_STATUS } from '../common/constants.js'
+import { createAuthGuard } from '../common/authGuard.js'
+import { createGl } from './helpers.js'
+
+// 用户服务：数据库访问的方法按需替换
+async function setup(users) {
+    const calls = []
+    const db = {
+        update: async (table, data, where) => { calls.push(['update', table, data, where]); return { ...where, ...data } },
+        query: async () => ({ rows: [], rowCount: 0 })
+    }
+    const gl = await createGl({ db })
+    gl.util.revokeAllTokens = async ({ uid }) => calls.push(['revokeAllTokens', uid])
+    process.env.PASSWORD_SCRYPT_N ||= '1024'
+    const user = new User()
+    user.gl = gl
+    await user.init(gl)
+    user.findIdentity = async () => null
+    user.getUser = async ({ email, uid }) => users.find(u => u.email === email || u.uid === uid) || null
+    user.linkIdentity = async params => { calls.push(['link', params.uid]); return params }
+    user.revokeSessions = async uid => { calls.push(['revokeSessions', uid]); return 0 }
+    return { user, calls }
+}
+
+test('loginWithIdentity: 接管未验证邮箱的账号时重置密码并吊销会话', async () => {
+    const { user, calls } = await setup([{ uid: 5, email: 'a@x.com', email_verified: false, status: USER_STATUS.ACTIVE }])
+    const { user: u } = await user.loginWithIdentity({ provider: 'google', subject: 'g1', email: 'A@x.com', emailVerified: true })
+    assert.equal(u.uid, 5)
+    assert.ok(calls.some(([op, table, data]) => op === 'update' && table === 'users' && data.pass))
+    assert.ok(calls.some(([op, table, data]) => op === 'update' && data.email_verified === true))
+    assert.ok(calls.some(([op, uid]) => op === 'revokeSessions' && uid === 5))
+    assert.ok(calls.some(([op, uid]) => op === 'revokeAllTokens' && uid === 5))
+})
+
+test('loginWithIdentity: 已验证的账号直接关联，未验证的第三方邮箱被拒绝', async () => {
+    const { user, calls } = await setup([{ uid: 6, email: 'b@x.com', email_verified: true, status: USER_STATUS.ACTIVE }])
+    assert.equal((await user.loginWithIdentity({ provider: 'google', subject: 'g2', email: 'b@x.com', emailVerified: true })).user.uid, 6)
+    assert.ok(!calls.some(([op]) => op === 'revokeSessions' || op === 'update'))
+    assert.deepEqual(await user.loginWithIdentity({ provider: 'maxthon', subject: 'm1', email: 'b@x.com', emailVerified: false }), { err: 'email-not-verified' })
+})
+
+test('loginForRedirect: 启用两步验证时不直接登录，pendingToken 写入 cookie', async () => {
+    const { user } = await setup([])
+    const cookies = []
+    const logins = []
+    user.gl.mfa = {
+        isEnabled: async uid => uid === 1,
+        createChallenge: async ({ uid }) => `pending_${uid}`,
+        setPendingCookie: ({ pendingToken }) => cookies.push(pendingToken)
+    }
+    user.login = async ({ user: u }) => logins.push(u.uid)
+    assert.equal(await user.loginForRedirect({ user: { uid: 1 }, redirect: '/app?x=1#top' }), '/app?x=1&mfaRequired=1#top')
+    assert.deepEqual(cookies, ['pending_1'])
+    assert.deepEqual(logins, [])
+    assert.equal(await user.loginForRedirect({ user: { uid: 2 }, redirect: '/app' }), '/app')
+    assert.deepEqual(logins, [2])
+})
+
+test('/user/sessions/revokeOthers: 模拟登录时拒绝，换发的token不延长有效期', async () => {
+    const { user, calls } = await setup([])
+    const app = fastify()
+    app.addHook('preHandler', async req => {
+        req.uid = 3
+        req.token = { uid: 3, jti: 'cur', expire: Date.now() + 86400000 }
+        if (req.headers['x-imp']) req.impersonator = 1
+    })
+    app.addHook('preHandler', createAuthGuard(user.gl))
+    const logins = []
+    user.login = async params => logins.push(params)
+    await user.regEndpoints(app)
+    const imp = await app.inject({ method: 'POST', url: '/user/sessions/revokeOthers', headers: { 'x-imp': '1' } })
+    assert.deepEqual(imp.json(), { err: 'permission-denied' })
+    assert.ok(!calls.some(([op]) => op === 'revokeSessions' || op === 'revokeAllTokens'))
+    const ok = await app.inject({ method: 'POST', url: '/user/sessions/revokeOthers' })
+    assert.deepEqual(ok.json(), { result: { revoked: 0 } })
+    assert.equal(logins.length, 1)
+    assert.ok(logins[0].days > 0.99 && logins[0].days <= 1)
+    assert.equal(logins[0].imp, undefined)
+    await app.close()
+})
+
+test('/user/sessions/revokeOthers: 没有 expire 的旧token按默认有效期换发', async () => {
+    const { user } = await setup([])
+    const app = fastify()
+    let token
+    app.addHook('preHandler', async req => {
+        req.uid = 3
+        req.token = token
+    })
+    const logins = []
+    user.login = async params => logins.push(params)
+    await user.regEndpoints(app)
+    token = { uid: 3, jti: 'legacy', create: Date.now() - 1000 }
+    assert.deepEqual((await app.inject({ method: 'POST', url: '/user/sessions/revokeOthers' })).json(), { result: { revoked: 0 } })
+    assert.equal(logins[0].days, undefined)
+    // 即将过期的token至少保留1分钟
+    token = { uid: 3, jti: 'cur', expire: Date.now() + 10 }
+    await app.inject({ method: 'POST', url: '/user/sessions/revokeOthers' })
+    assert.equal(logins[1].days, 60000 / 86400000)
+    await app.close()
+})
+
+test('handleOTT: login_success 尚未投递时等待投递完成', async () => {
+    const { user } = await setup([{ uid: 9, email: 'c@x.com', email_verified: true, status: USER_STATUS.ACTIVE }])
+    let polls = 0
+    user.gl.events = {
+        async poll() {
+            if (++polls === 2) await user.gl.kv.set('ott1', { type: 'email', email: 'c@x.com' })
+        }
+    }
+    assert.equal((await user.handleOTT({ OTT: 'ott1' })).uid, 9)
+    assert.equal(polls, 2)
+    user.ottWaitMs = 200
+    assert.equal(await user.handleOTT({ OTT: 'missing' }), null)
+})
+
+test('邮箱统一小写：查询与 lower(email) 比较，Google 用邮箱作为 subject 时小写', async () => {
+    const { user } = await setup([])
+    delete user.getUser
+    const queries = []
+    user.gl.db.findOne = async (sql, params) => { queries.push([sql, params]); return null }
+    await user.getUser({ email: ' Foo@Example.COM ' })
+    assert.deepEqual(queries.at(-1), ['SELECT uid, email, email_verified, frm, info, created_at, updated_at, status FROM users WHERE lower(email) = $1', ['foo@example.com']])
+    const identities = []
+    user.loginWithIdentity = async params => { identities.push(params); return {} }
+    await user.gl.kv.set('ott_g', { type: 'google', email: 'Foo@Example.com' })
+    await user.handleOTT({ OTT: 'ott_g' })
+    assert.equal(identities[0].subject, 'foo@example.com')
+})
+
+test('confirmEmailChange: 同一事务中删除原邮箱的验证码登录身份', async () => {
+    const { user } = await setup([{ uid: 11, email: 'Old@x.com', status: USER_STATUS.ACTIVE, info: {} }])
+    const queries = []
+    user.gl.db.transaction = async callback => callback({
+        query: async (sql, params) => { queries.push([sql, params]); return { rows: [{ uid: 11, email: params[1] }] } }
+    })
+    user.gl.mail = { verifyEmailCode: async () => ({ code: 0 }), send: async () => { } }
+    await user.gl.kv.set('email_change_11', { email: 'new@x.com' })
+    const { code, user: updated } = await user.confirmEmailChange({ uid: 11, code: '123456' })
+    assert.equal(code, 0)
+    assert.equal(updated.email, 'new@x.com')
+    assert.match(queries[1][0], /DELETE FROM user_identities/)
+    assert.deepEqual(queries[1][1], [11, 'old@x.com'])
+})
+
+test('updateUser: 只能修改 info，info 以对象传给 db，非对象的 info 被忽略', async () => {
+    const { user, calls } = await setup([])
+    await user.updateUser(12, { info: { name: 'a' }, status: 1, frm: 2 })
+    assert.deepEqual(calls.at(-1), ['update', 'users', { info: { name: 'a' } }, { uid: 12 }])
+    await assert.rejects(user.updateUser(12, { status: 1 }), /没有有效的更新字段/)
+    await assert.rejects(user.updateUser(12, { info: '{"name":"b"}' }), /没有有效的更新字段/)
+    await assert.rejects(user.updateUser(12, { info: null }), /没有有效的更新字段/)
+})
+
+test('/user/info: 用户不存在时返回 user-not-found', async () => {
+    const { user } = await setup([{ uid: 4, email: 'd@x.com' }])
+    const errors = []
+    user.gl.logger = { ...user.gl.logger, error: (...args) => errors.push(args) }
+    user.gl.subscription = { getPlan: async uid => ({ plan: 'free', uid }) }
+    const app = fastify()
+    app.addHook('preHandler', async req => { req.uid = Number(req.headers['x-uid']) })
+    await user.regEndpoints(app)
+    const missing = await app.inject({ method: 'GET', url: '/user/info', headers: { 'x-uid': '9' } })
+    assert.deepEqual(missing.json(), { err: 'user-not-found' })
+    assert.deepEqual(errors, [])
+    const ok = await app.inject({ method: 'GET', url: '/user/info', headers: { 'x-uid': '4' } })
+    assert.deepEqual(ok.json().result.plan, { plan: 'free', uid: 4 })
+    await app.close()
+})
+
+test('/user/register: 忽略客户端传入的 frm', async () => {
+    const { user } = await setup([])
+    const created = []
+    user.createUser = async params => { created.push(params); return { uid: 11, ...params } }
+    const app = fastify()
+    await user.regEndpoints(app)
+    await app.inject({ method: 'POST', url: '/user/register', payload: { email: 'e@x.com', password: 'pw-123456', frm: 1, info: { a: 1 } } })
+    assert.deepEqual(created, [{ email: 'e@x.com', password: 'pw-123456', info: { a: 1 } }])
+    await app.close()
+})
+
+test('loginWithIdentity: 迁移生成的身份登录未验证邮箱的账号时按接管处理', async () => {
+    const { user, calls } = await setup([{ uid: 12, email: 'F@x.com', email_verified: false, status: USER_STATUS.ACTIVE }])
+    user.gl.db.query = async () => ({ rows: [], rowCount: 1 })
+    user.findIdentity = async () => ({ uid: 12, provider: 'email', subject: 'f@x.com', profile: { migrated: true } })
+    assert.equal((await user.loginWithIdentity({ provider: 'email', subject: 'f@x.com', email: 'f@x.com', emailVerified: true })).user.uid, 12)
+    assert.ok(calls.some(([op, uid]) => op === 'revokeSessions' && uid === 12))
+    assert.ok(calls.some(([op, table, data]) => op === 'update' && table === 'users' && data.pass))
+    // 正常关联的身份不会重置密码
+    const other = await setup([{ uid: 13, email: 'g@x.com', email_verified: false, status: USER_STATUS.ACTIVE }])
+    other.user.findIdentity = async () => ({ uid: 13, provider: 'google', subject: 'g13', profile: { name: 'g' } })
+    assert.equal((await other.user.loginWithIdentity({ provider: 'google', subject: 'g13', email: 'g@x.com', emailVerified: true })).user.uid, 13)
+    assert.ok(!other.calls.some(([op]) => op === 'revokeSessions' || op === 'update'))
+})
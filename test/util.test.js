@@ -0,0 +1,76 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { Util } from '../common/util.js'
+import { KV } from '../kv.js'
+import { silentLogger } from './helpers.js'
+
+const saved = { TOKEN_KEYS: process.env.TOKEN_KEYS, tokenPass: process.env.tokenPass }
+
+afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name]
+        else process.env[name] = value
+    }
+})
+
+async function createUtil(keys) {
+    process.env.TOKEN_KEYS = keys
+    delete process.env.tokenPass
+    const gl = { logger: silentLogger }
+    await KV.create(gl, { backend: 'memory' })
+    return Util.create(gl)
+}
+
+test('token: 签发后可以解析，格式为 1.<kid>.<密文>', async () => {
+    const util = await createUtil('k1:secret-1')
+    const token = await util.uidToToken({ uid: 5, expire: Date.now() + 60000, imp: 2 })
+    assert.match(token, /^1\.k1\.[A-Za-z0-9_-]+$/)
+    const payload = await util.decodeToken({ token })
+    assert.equal(payload.uid, 5)
+    assert.equal(payload.imp, 2)
+    assert.ok(payload.jti)
+})
+
+test('token: 篡改密文、kid 或版本号都无法解析', async () => {
+    const util = await createUtil('k1:secret-1,k0:secret-0')
+    const token = await util.uidToToken({ uid: 5, expire: Date.now() + 60000 })
+    const [ver, kid, data] = token.split('.')
+    const buf = Buffer.from(data, 'base64url')
+    buf[20] ^= 1
+    assert.deepEqual(await util.decodeToken({ token: `${ver}.${kid}.${buf.toString('base64url')}` }), {})
+    // 换成另一个有效的 kid：AAD 和密钥都不匹配
+    assert.deepEqual(await util.decodeToken({ token: `${ver}.k0.${data}` }), {})
+    assert.deepEqual(await util.decodeToken({ token: `2.${kid}.${data}` }), {})
+    assert.deepEqual(await util.decodeToken({ token: `${ver}.${kid}.${data.slice(0, 20)}` }), {})
+})
+
+test('token: 过期后无法解析', async () => {
+    const util = await createUtil('k1:secret-1')
+    const expired = await util.uidToToken({ uid: 5, expire: Date.now() - 1 })
+    assert.deepEqual(await util.decodeToken({ token: expired }), {})
+})
+
+test('token: 轮换密钥后旧 kid 签发的 token 仍有效，移除旧 kid 后失效', async () => {
+    const old = await createUtil('k1:secret-1')
+    const token = await old.uidToToken({ uid: 5, expire: Date.now() + 60000 })
+    const rotated = await createUtil('k2:secret-2,k1:secret-1')
+    assert.equal((await rotated.decodeToken({ token })).uid, 5)
+    assert.match(await rotated.uidToToken({ uid: 5 }), /^1\.k2\./)
+    const removed = await createUtil('k2:secret-2')
+    assert.deepEqual(await removed.decodeToken({ token }), {})
+    // kid 相同但密钥不同
+    const changed = await createUtil('k1:other-secret')
+    assert.deepEqual(await changed.decodeToken({ token }), {})
+})
+
+test('token: 吊销单个 token 和 revokeAllTokens 之前签发的 token', async () => {
+    const util = await createUtil('k1:secret-1')
+    const payload = await util.decodeToken({ token: await util.uidToToken({ uid: 5, create: Date.now() - 1000, expire: Date.now() + 60000 }) })
+    assert.equal(await util.isTokenRevoked(payload), false)
+    await util.revokeToken(payload)
+    assert.equal(await util.isTokenRevoked(payload), true)
+    const other = await util.decodeToken({ token: await util.uidToToken({ uid: 5, create: Date.now() - 1000, expire: Date.now() + 60000 }) })
+    assert.equal(await util.isTokenRevoked(other), false)
+    await util.revokeAllTokens({ uid: 5 })
+    assert.equal(await util.isTokenRevoked(other), true)
+})
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Webhook } from '../webhook.js'
+import { createGl, fakeRes } from './helpers.js'
+
+async function setup(status) {
+    const gl = await createGl()
+    const webhook = new Webhook()
+    webhook.gl = gl
+    await webhook.init(gl)
+    webhook.receive = async () => ({ status, duplicate: true })
+    return webhook
+}
+
+test('accept: 正在处理的事件返回 409 让对方重试', async () => {
+    const res = fakeRes()
+    assert.deepEqual(await (await setup('processing')).accept(res, { eventId: 'e1', body: {} }), { err: 'processing' })
+    assert.equal(res.statusCode, 409)
+    assert.deepEqual(await (await setup('processed')).accept(res, { eventId: 'e1', body: {} }), { result: 'processed', duplicate: true })
+})
+
+test('process: 抢占时可以接管超过 processing_until 的记录', async () => {
+    const webhook = await setup()
+    const queries = []
+    webhook.gl.db = {
+        findOne: async (sql, params) => { queries.push(sql); return null }
+    }
+    await webhook.process(1)
+    assert.match(queries[0], /status = 'processing' AND processing_until < NOW\(\)/)
+    assert.match(queries[0], /processing_until = NOW\(\) \+ interval/)
+})
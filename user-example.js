@@ -250,8 +250,7 @@ async function userExample() {
           age: 26,
           department: 'Senior Engineering',
           lastLogin: new Date().toISOString()
-        },
-        status: 1
+        }
       });
       
       console.log('用户信息更新成功:', updatedUser);
@@ -1,7 +1,19 @@
 import { BaseService } from './common/baseService.js';
 import crypto from 'crypto';
+import { promisify } from 'util';
+import { USER_STATUS, USER_FROM, FREE_PLAN, ENTITLED_STATUS } from './common/constants.js';
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+// 第三方没有提供邮箱时，用于生成占位邮箱（.invalid 为保留域名）
+const PLACEHOLDER_EMAIL_DOMAIN = 'noreply.invalid';
 
 export class User extends BaseService {
+  static deps = ['db', 'kv', 'mail?', 'events?', 'subscription?'];
+
   constructor() {
     super();
     this.tableName = 'users';
@@ -19,6 +31,35 @@ export class User extends BaseService {
       if (!db) {
         return '数据库服务未初始化';
       }
+      if (!gl.kv) {
+        return 'KV服务未初始化';
+      }
+      // 初始管理员UID列表，ADMIN_UIDS=1000,1001
+      this.adminUids = new Set((process.env.ADMIN_UIDS || '').split(',').map(s => parseInt(s)).filter(Boolean));
+      // 密码重置令牌有效期（秒）
+      this.resetTokenTTL = parseInt(process.env.PASSWORD_RESET_TTL) || 3600;
+      // 密码加密参数，N 必须是 2 的幂（内存占用约 128 * N * r 字节）
+      this.scryptParams = {
+        N: parseInt(process.env.PASSWORD_SCRYPT_N) || 16384,
+        r: parseInt(process.env.PASSWORD_SCRYPT_R) || 8,
+        p: parseInt(process.env.PASSWORD_SCRYPT_P) || 1
+      };
+      // 登录失败锁定：同一邮箱连续失败 maxFailures 次后锁定 lockBase 秒，之后每次失败锁定时间翻倍，最长 lockMax 秒
+      this.loginLimits = {
+        maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+        lockBase: parseInt(process.env.LOGIN_LOCK_SECONDS) || 60,
+        lockMax: parseInt(process.env.LOGIN_LOCK_MAX_SECONDS) || 86400,
+        ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50 // 同一IP每小时
+      };
+
+      // OTT 登录时等待 login_success 事件投递的最长时间（毫秒）
+      this.ottWaitMs = parseInt(process.env.OTT_WAIT_MS) || 3000;
+      // commonAPI 的事件（经 webhook 模块发布到事件总线）
+      if (gl.events) {
+        gl.events.subscribe('login_success', 'user.loginSuccess', data => this.handleLoginSuccessful_fromCommonAPI(data));
+      } else {
+        logger.warn('未启用 events 模块，收不到 commonAPI 的 login_success 通知，OTT 登录不可用');
+      }
 
       logger.info('用户服务初始化成功');
       return null;
@@ -28,40 +69,54 @@ export class User extends BaseService {
   }
 
   /**
-   * 密码加密
+   * 密码加密（异步 scrypt，不阻塞事件循环）
+   * 格式：$scrypt$N=16384,r=8,p=1$<salt>$<hash>（base64），参数随哈希保存，调整 PASSWORD_SCRYPT_N 后旧密码仍可验证
    * @param {string} password - 原始密码
-   * @param {string} OTT - 盐值（可选）
-   * @returns {Object} 包含加密密码和盐值的对象
+   * @returns {Promise<string>} 加密后的密码
    */
-  hashPassword(password, OTT = null) {
-    if (!OTT) {
-      OTT = crypto.randomBytes(16).toString('hex');
-    }
-
-    const hash = crypto.pbkdf2Sync(password, OTT, 10000, 64, 'sha512').toString('hex');
-    return {
-      hash: `${OTT}:${hash}`,
-      OTT
-    };
+  async hashPassword(password) {
+    const { N, r, p } = this.scryptParams;
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p, maxmem: SCRYPT_MAXMEM });
+    return `$scrypt$N=${N},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
   }
 
   /**
-   * 验证密码
+   * 验证密码，兼容旧格式 salt:hash（pbkdf2-sha512，10000次）
    * @param {string} password - 输入的密码
    * @param {string} hashedPassword - 存储的加密密码
-   * @returns {boolean} 密码是否正确
+   * @returns {Promise<boolean>} 密码是否正确
    */
-  verifyPassword(password, hashedPassword) {
+  async verifyPassword(password, hashedPassword) {
     try {
-      const [OTT, hash] = hashedPassword.split(':');
-      const verifyHash = crypto.pbkdf2Sync(password, OTT, 10000, 64, 'sha512').toString('hex');
-      return hash === verifyHash;
+      let expected, actual;
+      if (hashedPassword.startsWith('$scrypt$')) {
+        const [, , params, salt, hash] = hashedPassword.split('$');
+        const { N, r, p } = Object.fromEntries(params.split(',').map(kv => kv.split('=')).map(([k, v]) => [k, parseInt(v)]));
+        expected = Buffer.from(hash, 'base64');
+        actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N, r, p, maxmem: SCRYPT_MAXMEM });
+      } else {
+        const [salt, hash] = hashedPassword.split(':');
+        expected = Buffer.from(hash, 'hex');
+        actual = await pbkdf2(password, salt, 10000, 64, 'sha512');
+      }
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
     } catch (error) {
       this.gl.logger.error('密码验证失败', { error: error.message });
       return false;
     }
   }
 
+  /**
+   * 是否需要用当前算法和参数重新加密（旧格式或参数已调整）
+   * @param {string} hashedPassword - 存储的加密密码
+   * @returns {boolean}
+   */
+  needsRehash(hashedPassword) {
+    const { N, r, p } = this.scryptParams;
+    return !hashedPassword.startsWith(`$scrypt$N=${N},r=${r},p=${p}$`);
+  }
+
   /**
    * 生成随机密码
    * @param {number} length - 密码长度，默认16位
@@ -86,9 +141,11 @@ export class User extends BaseService {
    */
   getFromName(frm) {
     const fromMap = {
-      1: 'Magic Link',
-      2: 'Google',
-      3: 'Maxthon'
+      [USER_FROM.PASSWORD]: 'Password',
+      [USER_FROM.GOOGLE]: 'Google',
+      [USER_FROM.MAXTHON]: 'Maxthon',
+      [USER_FROM.EMAIL]: 'Email Code',
+      [USER_FROM.GITHUB]: 'GitHub'
     };
 
     return fromMap[frm] || `Unknown(${frm})`;
@@ -99,8 +156,9 @@ export class User extends BaseService {
    * @param {Object} userData - 用户数据
    * @returns {Promise<Object>} 创建的用户信息（不包含密码）
    */
-  async createUser({ email, password, frm = 0, info = {}, status = 1 }) {
-    const { db, logger } = this.gl
+  async createUser({ email, password, frm = 0, info = {}, status = 1, emailVerified = false }) {
+    const { db, logger, util } = this.gl
+    email = util.normalizeEmail(email);
     if (!email) {
       throw new Error('邮箱不能为空');
     }
@@ -120,7 +178,7 @@ export class User extends BaseService {
 
     // 检查邮箱是否已存在
     const existingUser = await db.findOne(
-      'SELECT uid FROM users WHERE email = $1',
+      'SELECT uid FROM users WHERE lower(email) = $1',
       [email]
     );
 
@@ -129,15 +187,16 @@ export class User extends BaseService {
     }
 
     // 加密密码
-    const { hash } = this.hashPassword(finalPassword);
+    const hash = await this.hashPassword(finalPassword);
 
     // 插入用户
     const newUser = await db.insert('users', {
       email,
       pass: hash,
       frm,
-      info: JSON.stringify(info),
-      status
+      info,
+      status,
+      email_verified: emailVerified
     });
 
     logger.info('用户创建成功', {
@@ -145,33 +204,12 @@ export class User extends BaseService {
       email: newUser.email,
       frm: newUser.frm
     });
+    await this.gl.events?.publish('user_created', { uid: newUser.uid, email: newUser.email, frm: newUser.frm });
 
     // 返回用户信息（不包含密码）
     const { pass, ...userInfo } = newUser;
     return userInfo;
   }
-  async handleOTT({ OTT, uid }) {
-    const { db, util } = this.gl
-    const OTTStr = await db.getKV(OTT)
-    if (!OTTStr) return null
-    const OTTObj = JSON.parse(OTTStr)
-    //await db.delKV(OTT)
-    if (!OTTObj) return null
-    const { type, email, picture, avatar_url } = OTTObj
-    let user = {}
-
-    if (type === 'google') {
-      user = await this.ensureUser({ email, frm: 1, uid, info: { avatar: picture } })
-    }
-    if (type === 'maxthon') {
-      if (!email) email = 'non-exist@non-exist.ooo'
-      user = await this.ensureUser({ email, frm: 2, uid, info: { avatar: avatar_url } })
-    }
-    if (type === 'email') {
-      user = await this.ensureUser({ email, frm: 3, uid, info: {} })
-    }
-    return user
-  }
   /**
    * 用户登录验证
    * @param {string} email - 邮箱
@@ -180,25 +218,34 @@ export class User extends BaseService {
    * @returns {Promise<Object|null>} 用户信息或null
    */
   async authenticateUser({ email, password }) {
-    if (!OTT && (!email || !password)) {
+    if (!email || !password) {
       throw new Error('邮箱和密码不能为空');
     }
     let verifyPass = true
+    email = this.gl.util.normalizeEmail(email);
     const user = await this.gl.db.findOne(
-      'SELECT * FROM users WHERE email = $1 AND status = 1',
+      'SELECT * FROM users WHERE lower(email) = $1 AND status = 1',
       [email]
     );
 
     if (!user) {
+      // 同样计算一次哈希，避免通过响应时间判断邮箱是否存在
+      this.dummyHash ||= await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+      await this.verifyPassword(password, this.dummyHash);
       this.gl.logger.warn('登录失败：用户不存在或已禁用', { email });
       return null;
     }
     if (verifyPass) {
-      const isValidPassword = this.verifyPassword(password, user.pass);
+      const isValidPassword = await this.verifyPassword(password, user.pass);
       if (!isValidPassword) {
         this.gl.logger.warn('登录失败：密码错误', { email, uid: user.uid });
         return null;
       }
+      // 旧格式或旧参数的密码，登录成功时用当前参数重新加密
+      if (this.needsRehash(user.pass)) {
+        await this.gl.db.update('users', { pass: await this.hashPassword(password) }, { uid: user.uid });
+        this.gl.logger.info('密码已升级加密方式', { uid: user.uid });
+      }
     }
     this.gl.logger.info('用户登录成功', {
       uid: user.uid,
@@ -224,34 +271,32 @@ export class User extends BaseService {
     let query, params;
 
     if (uid) {
-      query = 'SELECT uid, email, frm, info, created_at, updated_at, status FROM users WHERE uid = $1';
+      query = 'SELECT uid, email, email_verified, frm, info, created_at, updated_at, status FROM users WHERE uid = $1';
       params = [uid];
     } else {
-      query = 'SELECT uid, email, frm, info, created_at, updated_at, status FROM users WHERE email = $1';
-      params = [email];
+      query = 'SELECT uid, email, email_verified, frm, info, created_at, updated_at, status FROM users WHERE lower(email) = $1';
+      params = [this.gl.util.normalizeEmail(email)];
     }
 
     const user = await this.gl.db.findOne(query, params);
     return user;
   }
   /**
-   * 更新用户信息
+   * 更新用户信息（修改邮箱需走 requestEmailChange / confirmEmailChange，状态由 setUserStatus 修改，frm 只在注册时记录）
    * @param {number} uid - 用户ID
    * @param {Object} updateData - 更新的数据
    * @returns {Promise<Object>} 更新后的用户信息
    */
   async updateUser(uid, updateData) {
-    const allowedFields = ['email', 'frm', 'info', 'status'];
+    const allowedFields = ['info'];
     const updateFields = {};
 
     // 过滤允许更新的字段
     for (const field of allowedFields) {
       if (updateData.hasOwnProperty(field)) {
-        if (field === 'info' && typeof updateData[field] === 'object') {
-          updateFields[field] = JSON.stringify(updateData[field]);
-        } else {
-          updateFields[field] = updateData[field];
-        }
+        // info 为 JSONB，只接受对象
+        if (field === 'info' && (typeof updateData[field] !== 'object' || updateData[field] === null)) continue;
+        updateFields[field] = updateData[field];
       }
     }
 
@@ -259,18 +304,6 @@ export class User extends BaseService {
       throw new Error('没有有效的更新字段');
     }
 
-    // 如果更新邮箱，检查是否已存在
-    if (updateFields.email) {
-      const existingUser = await this.gl.db.findOne(
-        'SELECT uid FROM users WHERE email = $1 AND uid != $2',
-        [updateFields.email, uid]
-      );
-
-      if (existingUser) {
-        throw new Error('邮箱已被其他用户使用');
-      }
-    }
-
     const updatedUser = await this.gl.db.update('users', updateFields, { uid });
 
     if (!updatedUser) {
@@ -325,7 +358,7 @@ export class User extends BaseService {
 
     // 更新用户info字段
     const updatedUser = await this.gl.db.update('users',
-      { info: JSON.stringify(updatedInfo) },
+      { info: updatedInfo },
       { uid }
     );
 
@@ -366,14 +399,14 @@ export class User extends BaseService {
     }
 
     // 验证旧密码
-    const isValidOldPassword = this.verifyPassword(oldPassword, user.pass);
+    const isValidOldPassword = await this.verifyPassword(oldPassword, user.pass);
 
     if (!isValidOldPassword) {
       throw new Error('旧密码错误');
     }
 
     // 加密新密码
-    const { hash } = this.hashPassword(newPassword);
+    const hash = await this.hashPassword(newPassword);
 
     // 更新密码
     await this.gl.db.update('users', { pass: hash }, { uid });
@@ -383,6 +416,161 @@ export class User extends BaseService {
     return true;
   }
 
+  /**
+   * 创建找回密码的重置令牌（同一用户之前未使用的令牌作废）
+   * @param {Object} params
+   * @param {string} params.email - 邮箱
+   * @param {string} params.ip - 请求IP
+   * @returns {Promise<Object|null>} { user, token, expiresAt }，用户不存在或不可用时返回null
+   */
+  async createPasswordReset({ email, ip }) {
+    const { db } = this.gl;
+    const user = await this.getUser({ email });
+    if (!user || user.status !== USER_STATUS.ACTIVE) return null;
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.resetTokenTTL * 1000);
+    await db.query('DELETE FROM password_resets WHERE uid = $1 AND used_at IS NULL', [user.uid]);
+    await db.insert('password_resets', {
+      uid: user.uid,
+      token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+      ip: ip || null,
+      expires_at: expiresAt
+    });
+    this.gl.logger.info('创建密码重置令牌', { uid: user.uid, ip });
+    return { user, token, expiresAt };
+  }
+
+  /**
+   * 用重置令牌设置新密码，令牌只能使用一次；成功后吊销该用户所有会话
+   * @param {Object} params
+   * @param {string} params.token - 重置令牌
+   * @param {string} params.password - 新密码
+   * @param {string} params.ip - 请求IP
+   * @returns {Promise<number|null>} 用户ID，令牌无效或已过期时返回null
+   */
+  async resetPassword({ token, password, ip }) {
+    const { db, util } = this.gl;
+    if (!token || !password) {
+      throw new Error('令牌和新密码不能为空');
+    }
+    // 在同一条语句里标记为已使用，保证并发时只有一次成功
+    const row = await db.findOne(`
+      UPDATE password_resets SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING uid
+    `, [crypto.createHash('sha256').update(String(token)).digest('hex')]);
+    if (!row) {
+      this.gl.logger.warn('密码重置令牌无效', { ip });
+      return null;
+    }
+    const { uid } = row;
+    const hash = await this.hashPassword(password);
+    const user = await db.update('users', { pass: hash }, { uid, status: USER_STATUS.ACTIVE });
+    if (!user) return null;
+    await this.revokeSessions(uid);
+    await util.revokeAllTokens({ uid });
+    this.gl.logger.info('用户通过邮件重置密码', { uid, ip });
+    return uid;
+  }
+
+  /**
+   * 标记邮箱已验证
+   * @param {number} uid - 用户ID
+   */
+  async setEmailVerified(uid) {
+    await this.gl.db.update('users', { email_verified: true }, { uid });
+    this.gl.logger.info('邮箱验证成功', { uid });
+  }
+
+  /**
+   * 向用户当前邮箱发送验证码，用于验证邮箱
+   * @param {Object} params - { uid, lang }
+   * @returns {Promise<Object>} { code: 0 } 或 { code, err }
+   */
+  async sendEmailVerification({ uid, lang }) {
+    const { mail } = this.gl;
+    const user = await this.getUser({ uid });
+    if (!user) return { code: 100, err: 'user-not-found' };
+    if (user.email_verified) return { code: 101, err: 'email-already-verified' };
+    return mail.sendEmailCode({ email: user.email, lang: lang || user.info?.lang, purpose: 'verify_email' });
+  }
+
+  /**
+   * 用验证码验证用户当前邮箱
+   * @param {Object} params - { uid, code }
+   * @returns {Promise<Object>} { code: 0 } 或 { code, err }
+   */
+  async verifyEmail({ uid, code }) {
+    const { mail } = this.gl;
+    const user = await this.getUser({ uid });
+    if (!user) return { code: 100, err: 'user-not-found' };
+    const result = await mail.verifyEmailCode({ email: user.email, code, purpose: 'verify_email' });
+    if (result.code !== 0) return result;
+    await this.setEmailVerified(uid);
+    return { code: 0 };
+  }
+
+  /**
+   * 申请修改邮箱：向新邮箱发送验证码，确认前仍使用原邮箱
+   * @param {Object} params - { uid, email: 新邮箱, lang }
+   * @returns {Promise<Object>} { code: 0 } 或 { code, err }
+   */
+  async requestEmailChange({ uid, email, lang }) {
+    const { mail, kv, util } = this.gl;
+    email = util.normalizeEmail(email);
+    if (!mail.isValidEmail(email)) return { code: 100, err: 'invalid-email' };
+    const user = await this.getUser({ uid });
+    if (!user) return { code: 101, err: 'user-not-found' };
+    if (util.normalizeEmail(user.email) === email) return { code: 102, err: 'same-email' };
+    if (await this.getUser({ email })) return { code: 103, err: 'email-already-used' };
+    await kv.set(`email_change_${uid}`, { email }, { ex: mail.codeTTL });
+    await mail.sendEmailCode({ email, lang: lang || user.info?.lang, purpose: 'email_change' });
+    this.gl.logger.info('申请修改邮箱', { uid, email });
+    return { code: 0 };
+  }
+
+  /**
+   * 用新邮箱收到的验证码确认修改邮箱，成功后通知原邮箱
+   * @param {Object} params - { uid, code, lang }
+   * @returns {Promise<Object>} { code: 0, user } 或 { code, err }
+   */
+  async confirmEmailChange({ uid, code, lang }) {
+    const { mail, kv, db, logger, util } = this.gl;
+    const pending = await kv.get(`email_change_${uid}`);
+    if (!pending) return { code: 100, err: 'no-pending-email-change' };
+    const result = await mail.verifyEmailCode({ email: pending.email, code, purpose: 'email_change' });
+    if (result.code !== 0) return result;
+    const user = await this.getUser({ uid });
+    if (!user) return { code: 101, err: 'user-not-found' };
+    if (await this.getUser({ email: pending.email })) return { code: 102, err: 'email-already-used' };
+    // 原邮箱的验证码登录身份一并删除，否则原邮箱的持有者仍能登录；新邮箱在下次验证码登录时关联
+    const updated = await db.transaction(async client => {
+      const { rows } = await client.query(
+        'UPDATE users SET email = $2, email_verified = true WHERE uid = $1 RETURNING *',
+        [uid, pending.email]
+      );
+      await client.query(
+        `DELETE FROM user_identities WHERE uid = $1 AND provider = 'email' AND subject = $2`,
+        [uid, util.normalizeEmail(user.email)]
+      );
+      return rows[0];
+    });
+    await kv.del(`email_change_${uid}`);
+    logger.info('用户邮箱已修改', { uid, from: user.email, to: pending.email });
+    try {
+      await mail.send({
+        to: user.email,
+        template: 'email_changed',
+        lang: lang || user.info?.lang,
+        vars: { email: pending.email }
+      });
+    } catch (error) {
+      logger.error('发送邮箱修改通知失败', { uid, error: error.message });
+    }
+    const { pass, ...userInfo } = updated;
+    return { code: 0, user: userInfo };
+  }
+
   /**
    * 删除用户（软删除，设置status为0）
    * @param {number} uid - 用户ID
@@ -400,6 +588,129 @@ export class User extends BaseService {
     return true;
   }
 
+  /**
+   * 用户列表查询（管理后台）
+   * @param {Object} params - 查询参数
+   * @param {number} params.page - 页码（offset分页），默认1
+   * @param {number} params.limit - 每页数量，默认20，最大100
+   * @param {string} params.cursor - 游标（cursor分页，传入时忽略page），仅支持按 uid 排序
+   * @param {number|Array} params.status - 状态
+   * @param {string} params.search - 邮箱片段
+   * @param {number|Array} params.frm - 来源
+   * @param {string} params.plan - 套餐ID，逗号分隔多个，free 为没有有效订阅的用户
+   * @param {string} params.createdFrom - 注册时间起（含）
+   * @param {string} params.createdTo - 注册时间止（不含）
+   * @param {string} params.activityStatus - user_metrics.activity_status
+   * @param {string} params.sort - 排序字段：uid / created_at / updated_at / email / last_active_at
+   * @param {string} params.order - asc / desc，默认desc
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  async getUserList({ page = 1, limit = 20, cursor, status, search, frm, plan, createdFrom, createdTo, activityStatus, sort = 'uid', order = 'desc' } = {}) {
+    const { db } = this.gl;
+    const sortColumns = {
+      uid: 'u.uid',
+      created_at: 'u.created_at',
+      updated_at: 'u.updated_at',
+      email: 'u.email',
+      last_active_at: 'm.last_active_at'
+    };
+    if (!sortColumns[sort]) {
+      throw new Error(`不支持的排序字段: ${sort}`);
+    }
+    const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    page = Math.max(parseInt(page) || 1, 1);
+
+    const conditions = [];
+    const params = [];
+    const add = (sql, ...values) => {
+      conditions.push(sql.replace(/\?/g, () => `$${params.push(values.shift())}`));
+    };
+    const toList = value => String(value).split(',').map(v => parseInt(v)).filter(v => !isNaN(v));
+
+    if (status !== undefined && status !== '') add('u.status = ANY(?::int[])', toList(status));
+    if (frm !== undefined && frm !== '') add('u.frm = ANY(?::int[])', toList(frm));
+    if (search) add('u.email ILIKE ?', `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    if (createdFrom) add('u.created_at >= ?', createdFrom);
+    if (createdTo) add('u.created_at < ?', createdTo);
+    if (activityStatus) add('m.activity_status = ?', activityStatus);
+    if (plan) {
+      // 按套餐ID筛选有效订阅，free 表示没有有效订阅
+      const ids = String(plan).split(',').map(v => v.trim()).filter(Boolean);
+      const paid = ids.filter(id => id !== FREE_PLAN);
+      const entitled = 'SELECT 1 FROM subscriptions s WHERE s.uid = u.uid AND s.status = ANY(?::text[]) AND s.current_period_end > NOW()';
+      if (paid.length && ids.includes(FREE_PLAN)) {
+        add(`(EXISTS (${entitled} AND s.plan = ANY(?::text[])) OR NOT EXISTS (${entitled}))`, ENTITLED_STATUS, paid, ENTITLED_STATUS);
+      } else if (paid.length) {
+        add(`EXISTS (${entitled} AND s.plan = ANY(?::text[]))`, ENTITLED_STATUS, paid);
+      } else if (ids.length) {
+        add(`NOT EXISTS (${entitled})`, ENTITLED_STATUS);
+      }
+    }
+
+    const from = 'FROM users u LEFT JOIN user_metrics m ON m.uid = u.uid';
+    const filterSql = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+    const { total } = await db.findOne(`SELECT COUNT(*)::int AS total ${from} ${filterSql}`, params);
+
+    // 游标分页：游标为上一页最后一条的uid
+    if (cursor) {
+      if (sort !== 'uid') {
+        throw new Error('游标分页只支持按 uid 排序');
+      }
+      const lastUid = parseInt(cursor);
+      if (isNaN(lastUid)) {
+        throw new Error('无效的游标');
+      }
+      add(`u.uid ${direction === 'ASC' ? '>' : '<'} ?`, lastUid);
+    }
+
+    const whereSql = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+    const orderSql = `ORDER BY ${sortColumns[sort]} ${direction} NULLS LAST${sort === 'uid' ? '' : `, u.uid ${direction}`}`;
+    const offset = cursor ? 0 : (page - 1) * limit;
+    const result = await db.query(`
+      SELECT u.uid, u.email, u.email_verified, u.frm, u.info, u.roles, u.status, u.created_at, u.updated_at,
+             m.last_active_at, m.activity_status, m.active_days_30
+      ${from} ${whereSql}
+      ${orderSql}
+      LIMIT ${limit} OFFSET ${offset}
+    `, params);
+    const users = result.rows;
+
+    const pagination = { limit, total };
+    if (sort === 'uid') {
+      pagination.nextCursor = users.length === limit ? String(users[users.length - 1].uid) : null;
+    }
+    if (!cursor) {
+      pagination.page = page;
+      pagination.totalPages = Math.ceil(total / limit);
+    }
+    return { users, pagination };
+  }
+
+  /**
+   * 修改用户状态，非正常状态时吊销该用户所有会话
+   * @param {number} uid - 用户ID
+   * @param {number} status - USER_STATUS 中的状态
+   * @param {Object} options
+   * @param {Array<number>} options.from - 只允许从这些状态变更
+   * @returns {Promise<Object|null>} 更新后的用户，状态不满足时返回null
+   */
+  async setUserStatus(uid, status, { from } = {}) {
+    const { db, util } = this.gl;
+    const where = { uid };
+    if (from) where.status = from;
+    const user = await db.update('users', { status }, where);
+    if (!user) return null;
+    if (status !== USER_STATUS.ACTIVE) {
+      await this.revokeSessions(uid);
+      await util.revokeAllTokens({ uid });
+    }
+    await this.gl.kv.del(`roles_${uid}`);
+    this.gl.logger.info('用户状态更新成功', { uid, status });
+    const { pass, ...userInfo } = user;
+    return userInfo;
+  }
+
   /**
    * 获取用户等级
    * @param {number} uid - 用户ID
@@ -437,6 +748,80 @@ export class User extends BaseService {
     return user.level || 0;
   }
 
+  /**
+   * 获取用户角色（缓存60秒），ADMIN_UIDS 中的用户总是拥有 admin 角色
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Array<string>>} 角色列表
+   */
+  async getRoles(uid) {
+    if (!uid) return [];
+    const { db, kv } = this.gl;
+    const cacheKey = `roles_${uid}`;
+    let roles = await kv.get(cacheKey);
+    if (!roles) {
+      const user = await db.findOne('SELECT roles FROM users WHERE uid = $1 AND status = 1', [uid]);
+      roles = user?.roles || [];
+      await kv.set(cacheKey, roles, { ex: 60 });
+    }
+    if (this.adminUids.has(Number(uid)) && !roles.includes('admin')) roles = [...roles, 'admin'];
+    return roles;
+  }
+
+  /**
+   * 设置用户角色
+   * @param {number} uid - 用户ID
+   * @param {Array<string>} roles - 角色列表，必须是 Config.roles 中定义的角色
+   * @returns {Promise<Array<string>>} 设置后的角色
+   */
+  async setRoles(uid, roles) {
+    const { config, db, kv } = this.gl;
+    const unknown = roles.filter(role => !config.roles[role]);
+    if (unknown.length) {
+      throw new Error(`未知角色: ${unknown.join(', ')}`);
+    }
+    const user = await db.update('users', { roles }, { uid });
+    if (!user) {
+      throw new Error('用户不存在');
+    }
+    await kv.del(`roles_${uid}`);
+    this.gl.logger.info('用户角色更新成功', { uid, roles });
+    return user.roles;
+  }
+
+  /**
+   * 是否拥有角色
+   * @param {number} uid - 用户ID
+   * @param {string|Array<string>} role - 角色，数组表示满足其一即可
+   * @returns {Promise<boolean>}
+   */
+  async hasRole(uid, role) {
+    const roles = await this.getRoles(uid);
+    const wanted = Array.isArray(role) ? role : [role];
+    return wanted.some(r => roles.includes(r));
+  }
+
+  /**
+   * 是否拥有权限（由角色在 Config.roles 中定义，'*' 表示全部权限）
+   * @param {number} uid - 用户ID
+   * @param {string} permission - 权限，如 'users.read'
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(uid, permission) {
+    const perms = await this.getPermissions(uid);
+    return perms.has('*') || perms.has(permission);
+  }
+
+  /**
+   * 获取用户的全部权限（角色在 Config.roles 中定义的权限合集）
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Set<string>>}
+   */
+  async getPermissions(uid) {
+    const { config } = this.gl;
+    const roles = await this.getRoles(uid);
+    return new Set(roles.flatMap(role => config.roles[role] || []));
+  }
+
   /**
    * 确保用户存在，如果不存在则创建用户
    * @param {Object} userData - 用户数据
@@ -446,7 +831,7 @@ export class User extends BaseService {
    * @param {Object} userData.info - 用户信息（可选）
    * @returns {Promise<Object>} 用户信息
    */
-  async ensureUser({ email, uid, frm, info = {} }) {
+  async ensureUser({ email, uid, frm, info = {}, emailVerified = false }) {
     // 参数验证
     if (!email && !uid) {
       throw new Error('必须提供邮箱或用户ID');
@@ -464,6 +849,10 @@ export class User extends BaseService {
         email: user.email,
         frm: user.frm
       });
+      if (emailVerified && !user.email_verified) {
+        await this.setEmailVerified(user.uid);
+        user.email_verified = true;
+      }
       return user;
     }
 
@@ -473,118 +862,63 @@ export class User extends BaseService {
     }
 
     // 如果是第三方用户且没有密码，会自动生成随机密码
-    const newUser = await this.createUser({ email, frm: frm || 0, info });
+    const newUser = await this.createUser({ email, frm: frm || 0, info, emailVerified });
 
     this.gl.logger.info('用户创建成功', { uid: newUser.uid, email: newUser.email, frm: newUser.frm, fromName: this.getFromName(newUser.frm) });
 
     return newUser;
   }
 
-  async handleOTT({ OTT, uid }) {
-    const { db, util } = this.gl
-    const OTTStr = await db.getKV(OTT)
-    if (!OTTStr) return null
-    const OTTObj = JSON.parse(OTTStr)
-    //await db.delKV(OTT)
+  /**
+   * 读取 OTT 对应的登录信息。login_success 经事件总线异步保存，客户端可能先于投递拿着 OTT 来登录，
+   * 所以没有时触发投递并等待片刻（最长 ottWaitMs）
+   * @param {string} OTT
+   * @returns {Promise<Object|string|null>}
+   */
+  async waitForOTT(OTT) {
+    const { kv, events } = this.gl;
+    const deadline = Date.now() + this.ottWaitMs;
+    for (;;) {
+      const stored = await kv.get(OTT);
+      if (stored || !events || Date.now() >= deadline) return stored;
+      await events.poll();
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  async handleOTT({ OTT }) {
+    const { util } = this.gl
+    const stored = await this.waitForOTT(OTT)
+    if (!stored) return null
+    const OTTObj = typeof stored === 'string' ? util.parseJson(stored) : stored
+    //await kv.del(OTT)
     if (!OTTObj) return null
-    let { type, email, account, picture, avatar_url } = OTTObj
-    let user = {}
+    let { type, email, account, picture, avatar_url, sub, user_id } = OTTObj
+    let result = {}
 
+    // commonAPI 不一定提供对方的用户ID，没有时用邮箱作为 subject（与迁移的旧数据一致）
     if (type === 'google') {
-      user = await this.ensureUser({ email, frm: 1, uid, info: { avatar: picture } })
+      // 用邮箱作为 subject 时统一小写（迁移 0008 中为 lower(email)）
+      result = await this.loginWithIdentity({ provider: 'google', subject: sub || util.normalizeEmail(email), email, emailVerified: true, avatar: picture, frm: USER_FROM.GOOGLE })
     }
     if (type === 'maxthon') {
-      if (account.indexOf('@') !== -1) email = account
-      if (!email || email.indexOf('@') === -1) email = 'non-exist@non-exist.ooo'
-      user = await this.ensureUser({ email, frm: 2, uid, info: { avatar: avatar_url } })
+      if (account?.includes('@')) email = account
+      if (!email?.includes('@')) email = null
+      result = await this.loginWithIdentity({ provider: 'maxthon', subject: user_id || account, email, emailVerified: !!email, avatar: avatar_url, frm: USER_FROM.MAXTHON })
     }
     if (type === 'email') {
-      user = await this.ensureUser({ email, frm: 3, uid, info: {} })
+      result = await this.loginWithIdentity({ provider: 'email', subject: util.normalizeEmail(email), email, emailVerified: true, frm: USER_FROM.EMAIL })
     }
-    return user
+    if (result.err) this.gl.logger.warn('OTT 登录失败', { type, err: result.err })
+    return result.user || null
   }
   async handleLoginSuccessful_fromCommonAPI({ OTT, ...rest }) {
     console.log("handleLoginSuccessful_fromCommonAPI", OTT, rest)
     if (!OTT) return { code: 100, err: "no-ott" }
-    const { db } = this.gl
-    await db.setKV(OTT, JSON.stringify(rest), 60 * 5) // 5 minutes
+    const { kv } = this.gl
+    await kv.set(OTT, rest, { ex: 60 * 5 }) // 5 minutes
     return { msg: "ok" }
   }
-  async handleOrderPaid_fromCommonAPI(meta) {
-    const { db } = this.gl
-    const { uid, type, name, endTime, amount, id: order_id, pid, email, lang = 'en' } = meta
-    try {
-      await db.insert('payments', { uid, type, amount, order_id, meta })
-    } catch (err) { }
-    if (!uid) return { err: "no-uid" }
-    //handle subscription
-    const userinfo = await this.getUserInfo({ uid })
-    let delta = 0
-    if (userinfo?.pay) {
-      const { amount: oldAmount = 0, endTime = 0, name: oldName = '' } = userinfo?.pay
-      const newName = meta?.name || ''
-      let { amount: newAmount = 0 } = meta
-      if (newAmount === 0) {
-        newAmount = +(meta.price?.split('|')[0]) || 0
-      }
-
-      // 当前剩余秒数（endTime 为旧周期的结束时间）
-      const remainingSec = Math.max(0, (endTime * 1000 - Date.now()) / 1000)
-
-      // 推断周期秒数：优先用名称包含的 Monthly/Yearly，其次用价格标签 |M |Y
-      const monthSec = 30 * 24 * 60 * 60
-      const yearSec = 365 * 24 * 60 * 60
-      const inferCycleSec = (nameStr, priceTag) => {
-        const lower = (nameStr || '').toLowerCase()
-        if (lower.includes('year')) return yearSec
-        if (lower.includes('month')) return monthSec
-        const tag = (priceTag || '').split('|')[1]?.trim()?.toLowerCase()
-        if (tag === 'y') return yearSec
-        if (tag === 'm') return monthSec
-        return monthSec
-      }
-      const oldCycleSec = inferCycleSec(oldName)
-      const newCycleSec = inferCycleSec(newName, meta?.price)
-
-      // 将剩余服务价值按新价格（每秒单价）换算成时间（秒）
-      if (remainingSec > 0 && oldAmount > 0 && newAmount > 0) {
-        const oldRatePerSec = oldAmount / oldCycleSec
-        const newRatePerSec = newAmount / newCycleSec
-        delta = Math.floor(remainingSec * (oldRatePerSec / newRatePerSec))
-      } else {
-        delta = 0
-      }
-      console.log("plan-change-delta:", delta)
-    }
-    return await this.updateUserInfo(uid, { pay: meta, delta })
-  }
-
-  async getPlan({ user, uid }) {
-    if (!user) user = await this.getUser({ uid })
-    if (!user?.info?.pay) return { name: 'free' }
-    let { name, endTime } = user?.info?.pay
-    if (endTime * 1000 < Date.now()) return { name: 'free' }
-    const delta = +user?.info?.delta || 0
-    if (!name) name = user?.info?.pay.product
-    name = name.toLowerCase()
-    if (name.indexOf('basic') > -1) {
-      return { name: 'basic', endTime: endTime + delta }
-    }
-    if (name.indexOf('pro') > -1) {
-      return { name: 'pro', endTime: endTime + delta }
-    }
-    if (name.indexOf('basic') > -1) {
-      return { name: 'basic', endTime: endTime + delta }
-    }
-    if (name.indexOf('plus') > -1) {
-      return { name: 'plus', endTime: endTime + delta }
-    }
-    if (name.indexOf('ultra') > -1) {
-      return { name: 'ultra', endTime: endTime + delta }
-    }
-
-    return { name: 'free' }
-  }
   /**
    * 更新用户最后活跃时间
    * @param {number} uid - 用户ID
@@ -594,11 +928,11 @@ export class User extends BaseService {
     if (!uid) {
       throw new Error('用户ID不能为空');
     }
-    const { db } = this.gl;
+    const { db, kv } = this.gl;
     const cacheKey = `active_at_${uid}`;
 
     // 检查缓存，如果10分钟内已经更新过，则忽略
-    const lastActive = await db.getKV(cacheKey);
+    const lastActive = await kv.get(cacheKey);
     if (lastActive) return true;
 
     // 1) 记录“今天活跃过”（一人一天一条）
@@ -618,11 +952,331 @@ export class User extends BaseService {
 
     if (result.rowCount > 0) {
       // 设置10分钟缓存
-      await db.setKV(cacheKey, '1', 600);
+      await kv.set(cacheKey, '1', { ex: 600 });
       return true;
     }
     return false;
   }
+  /**
+   * 按第三方身份查找
+   * @param {Object} params - { provider, subject }
+   * @returns {Promise<Object|null>} user_identities 记录
+   */
+  async findIdentity({ provider, subject }) {
+    return this.gl.db.findOne(
+      'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+      [provider, String(subject)]
+    );
+  }
+
+  /**
+   * 把第三方身份关联到用户
+   * @param {Object} params - { uid, provider, subject, email, profile }
+   * @returns {Promise<Object|null>} user_identities 记录，该身份已关联其他用户时返回null
+   */
+  async linkIdentity({ uid, provider, subject, email = null, profile = {} }) {
+    const { db, logger } = this.gl;
+    const row = await db.upsert('user_identities', {
+      uid, provider, subject: String(subject), email, profile
+    }, ['provider', 'subject'], { update: [] });
+    if (row) {
+      logger.info('关联第三方身份', { uid, provider });
+      return row;
+    }
+    const existing = await this.findIdentity({ provider, subject });
+    return existing?.uid == uid ? existing : null;
+  }
+
+  /**
+   * 用户关联的第三方身份
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Array>}
+   */
+  async listIdentities(uid) {
+    return this.gl.db.findMany(
+      'SELECT provider, subject, email, profile, created_at, last_login_at FROM user_identities WHERE uid = $1 ORDER BY created_at',
+      [uid]
+    );
+  }
+
+  /**
+   * 取消关联第三方身份。邮箱未验证的用户不能取消最后一个身份，否则无法再登录或找回密码
+   * @param {Object} params - { uid, provider, subject }
+   * @returns {Promise<Object>} { code: 0 } 或 { code, err }
+   */
+  async unlinkIdentity({ uid, provider, subject }) {
+    const { db, logger } = this.gl;
+    const identities = await this.listIdentities(uid);
+    if (!identities.find(i => i.provider === provider && i.subject === String(subject))) {
+      return { code: 100, err: 'identity-not-found' };
+    }
+    if (identities.length === 1) {
+      const user = await this.getUser({ uid });
+      if (!user?.email_verified) return { code: 101, err: 'last-identity' };
+    }
+    await db.delete('user_identities', { uid, provider, subject: String(subject) });
+    logger.info('取消关联第三方身份', { uid, provider });
+    return { code: 0 };
+  }
+
+  /**
+   * 第三方登录：按 (provider, subject) 查找用户。首次登录时：
+   * 邮箱已验证则关联同一邮箱的已有用户；邮箱未验证且已被使用则拒绝；否则创建新用户
+   * @param {Object} params
+   * @param {string} params.provider - 登录方式
+   * @param {string} params.subject - 对方的用户ID
+   * @param {string} params.email - 邮箱（可选）
+   * @param {boolean} params.emailVerified - 对方是否验证过邮箱
+   * @param {number} params.frm - 新建用户的来源（USER_FROM）
+   * @returns {Promise<Object>} { user } 或 { err }
+   */
+  async loginWithIdentity({ provider, subject, email, emailVerified, name, avatar, frm = 0 }) {
+    const { db } = this.gl;
+    if (!provider || !subject) throw new Error('必须提供 provider 和 subject');
+    email = this.gl.util.normalizeEmail(email) || null;
+    const profile = { name, avatar };
+    let user;
+    const identity = await this.findIdentity({ provider, subject });
+    if (identity) {
+      user = await this.getUser({ uid: identity.uid });
+      // 迁移 0008 按 frm 生成的身份不能证明对方验证过这个账号的邮箱（frm 曾可由注册的客户端指定），首次登录时按接管处理
+      if (user && identity.profile?.migrated && emailVerified && email === this.gl.util.normalizeEmail(user.email) && !user.email_verified) {
+        await this.claimUnverifiedAccount(user.uid, { provider });
+      }
+    } else {
+      const existing = email ? await this.getUser({ email }) : null;
+      // 未验证的邮箱不能用来关联已有用户，否则可以冒用他人邮箱登录
+      if (existing && !emailVerified) return { err: 'email-not-verified' };
+      if (existing) {
+        user = existing;
+        if (!user.email_verified) await this.claimUnverifiedAccount(user.uid, { provider });
+      } else {
+        user = await this.createUser({
+          email: email || `${provider}_${subject}@${PLACEHOLDER_EMAIL_DOMAIN}`.toLowerCase(),
+          password: this.generateRandomPassword(),
+          frm,
+          info: avatar ? { avatar } : {},
+          emailVerified: !!(email && emailVerified)
+        });
+      }
+      if (!await this.linkIdentity({ uid: user.uid, provider, subject, email, profile })) {
+        return { err: 'identity-already-linked' };
+      }
+    }
+    if (!user || user.status !== USER_STATUS.ACTIVE) return { err: 'user-disabled' };
+    await db.query(
+      'UPDATE user_identities SET last_login_at = NOW(), email = COALESCE($3, email), profile = $4 WHERE provider = $1 AND subject = $2',
+      [provider, String(subject), email, profile]
+    );
+    return { user };
+  }
+
+  /**
+   * 邮箱已由第三方验证，接管使用该邮箱注册但未验证的账号
+   * 账号可能是他人抢注的（预先注册后等待受害者用第三方登录），所以重置密码并吊销所有会话
+   * @param {number} uid - 用户ID
+   * @param {Object} params - { provider }
+   */
+  async claimUnverifiedAccount(uid, { provider }) {
+    const { db, util, logger } = this.gl;
+    await db.update('users', { pass: await this.hashPassword(this.generateRandomPassword()) }, { uid });
+    await this.revokeSessions(uid);
+    await util.revokeAllTokens({ uid });
+    await this.setEmailVerified(uid);
+    logger.warn('第三方登录接管未验证邮箱的账号，已重置密码并吊销会话', { uid, provider });
+  }
+
+  /**
+   * 检查密码登录是否被锁定（按邮箱和IP）
+   * @param {Object} params - { email: 小写邮箱, ip }
+   * @returns {Promise<Object|null>} 锁定时返回 { err, retryAfter }
+   */
+  async checkLoginLock({ email, ip }) {
+    const { kv } = this.gl;
+    const lockTTL = await kv.ttl(`login_lock_${email}`);
+    if (lockTTL !== -2) return { err: 'account-locked', retryAfter: Math.max(lockTTL, 1) };
+    const ipFailures = await kv.get(`login_fail_ip_${ip}`);
+    if (ipFailures >= this.loginLimits.ipMaxFailures) {
+      return { err: 'too-many-requests', retryAfter: Math.max(await kv.ttl(`login_fail_ip_${ip}`), 1) };
+    }
+    return null;
+  }
+
+  /**
+   * 记录一次密码错误，达到次数后锁定该邮箱（指数退避），第一次锁定时发送解锁邮件
+   * @param {Object} params - { email: 小写邮箱, req }
+   */
+  async recordLoginFailure({ email, req }) {
+    const { kv, logger } = this.gl;
+    const { maxFailures, lockBase, lockMax } = this.loginLimits;
+    await kv.incr(`login_fail_ip_${req.ip}`, 1, { ex: 3600 });
+    const failures = await kv.incr(`login_fail_${email}`, 1, { ex: lockMax });
+    if (failures < maxFailures) return;
+    const seconds = Math.min(lockBase * 2 ** (failures - maxFailures), lockMax);
+    await kv.set(`login_lock_${email}`, failures, { ex: seconds });
+    logger.warn('登录失败次数过多，锁定账号', { email, ip: req.ip, failures, seconds });
+    if (failures === maxFailures) {
+      await this.sendUnlockEmail({ email, req }).catch(error =>
+        logger.error('发送解锁邮件失败', { email, error: error.message }));
+    }
+  }
+
+  async clearLoginFailures(email) {
+    const { kv } = this.gl;
+    await kv.del(`login_fail_${email}`);
+    await kv.del(`login_lock_${email}`);
+  }
+
+  /**
+   * 发送解锁邮件，用户可通过邮件中的令牌立即解除锁定
+   * @param {Object} params - { email, req }
+   */
+  async sendUnlockEmail({ email, req }) {
+    const { mail, kv } = this.gl;
+    if (!mail) return;
+    const user = await this.getUser({ email });
+    if (!user) return;
+    const token = crypto.randomBytes(32).toString('base64url');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    await kv.set(`login_unlock_${tokenHash}`, { email }, { ex: this.loginLimits.lockMax });
+    const url = process.env.LOGIN_UNLOCK_URL;
+    await mail.send({
+      to: user.email,
+      template: 'account_locked',
+      lang: await mail.getLang({ email, req }),
+      vars: { link: url ? `${url}${url.includes('?') ? '&' : '?'}token=${token}` : token }
+    });
+  }
+
+  /**
+   * 用解锁邮件中的令牌解除锁定（令牌只能使用一次）
+   * @param {string} token
+   * @returns {Promise<boolean>}
+   */
+  async unlockLogin(token) {
+    const { kv, logger } = this.gl;
+    const key = `login_unlock_${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+    const stored = await kv.get(key);
+    if (!stored || !(await kv.del(key))) return false;
+    await this.clearLoginFailures(stored.email);
+    logger.info('通过邮件解除登录锁定', { email: stored.email });
+    return true;
+  }
+
+  /**
+   * 已启用两步验证时返回两步登录的第二步（由 /user/login/2fa 完成登录），否则返回null
+   * @param {Object} user - 第一步验证通过的用户
+   * @returns {Promise<Object|null>}
+   */
+  async mfaChallenge(user) {
+    const { mfa } = this.gl;
+    if (!mfa || !await mfa.isEnabled(user.uid)) return null;
+    const pendingToken = await mfa.createChallenge({ uid: user.uid });
+    return { result: { mfaRequired: true, pendingToken } };
+  }
+
+  /**
+   * 跳转式登录（OAuth 回调、/start/maxthon）：未启用两步验证时直接登录；
+   * 已启用时 pendingToken 写入 HttpOnly cookie，跳转地址带上 mfaRequired=1，由前端调用 /user/login/2fa { code } 完成登录
+   * @param {Object} params - { req, res, user, redirect }
+   * @returns {Promise<string>} 登录后跳转的地址
+   */
+  async loginForRedirect({ req, res, user, redirect }) {
+    const challenge = await this.mfaChallenge(user);
+    if (!challenge) {
+      await this.login({ req, res, user });
+      return redirect;
+    }
+    this.gl.mfa.setPendingCookie({ req, res, pendingToken: challenge.result.pendingToken });
+    const [base, hash] = redirect.split('#');
+    return `${base}${base.includes('?') ? '&' : '?'}mfaRequired=1${hash === undefined ? '' : '#' + hash}`;
+  }
+
+  /**
+   * 登录：签发token、写入cookie并记录会话
+   * @param {Object} params
+   * @param {Object} params.req - 请求
+   * @param {Object} params.res - 响应
+   * @param {Object} params.user - 用户
+   * @param {number} params.days - 有效天数，默认30
+   * @returns {Promise<Object>} token内容
+   */
+  async login({ req, res, user, days = 30, ...extra }) {
+    const { util } = this.gl;
+    const { payload } = await util.issueToken({ req, res, uid: user.uid, days, ...extra });
+    await this.createSession({ req, payload });
+    return payload;
+  }
+
+  /**
+   * 记录登录会话
+   * @param {Object} params - { req, payload: token内容 }
+   */
+  async createSession({ req, payload }) {
+    const { db } = this.gl;
+    await db.insert('user_sessions', {
+      id: payload.jti,
+      uid: payload.uid,
+      user_agent: req.headers['user-agent']?.slice(0, 512) || null,
+      ip: req.ip || null,
+      expires_at: new Date(payload.expire)
+    });
+  }
+
+  /**
+   * 更新会话最后活跃时间（5分钟内只更新一次）
+   * @param {Object} params - { req, payload: token内容 }
+   */
+  async touchSession({ req, payload }) {
+    if (!payload?.jti) return;
+    const { db, kv } = this.gl;
+    const first = await kv.set(`session_seen_${payload.jti}`, 1, { ex: 300, nx: true });
+    if (!first) return;
+    await db.query(
+      'UPDATE user_sessions SET last_seen_at = NOW(), ip = $2 WHERE id = $1 AND revoked_at IS NULL',
+      [payload.jti, req.ip || null]
+    );
+  }
+
+  /**
+   * 获取用户的有效会话
+   * @param {number} uid - 用户ID
+   * @returns {Promise<Array>} 会话列表
+   */
+  async listSessions(uid) {
+    const result = await this.gl.db.query(`
+      SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+      FROM user_sessions
+      WHERE uid = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      ORDER BY last_seen_at DESC
+    `, [uid]);
+    return result.rows;
+  }
+
+  /**
+   * 吊销会话（对应的token立即失效）
+   * @param {number} uid - 用户ID
+   * @param {Object} params
+   * @param {string} params.id - 会话ID，不传则吊销全部
+   * @param {string} params.except - 保留的会话ID（一般为当前会话）
+   * @returns {Promise<number>} 吊销的数量
+   */
+  async revokeSessions(uid, { id, except } = {}) {
+    const { db, util } = this.gl;
+    const result = await db.query(`
+      UPDATE user_sessions SET revoked_at = NOW()
+      WHERE uid = $1 AND revoked_at IS NULL
+        AND ($2::text IS NULL OR id = $2)
+        AND ($3::text IS NULL OR id <> $3)
+      RETURNING id, expires_at
+    `, [uid, id || null, except || null]);
+    for (const row of result.rows) {
+      await util.revokeToken({ jti: row.id, expire: row.expires_at ? new Date(row.expires_at).getTime() : null });
+    }
+    if (result.rowCount) this.gl.logger.info('会话已吊销', { uid, count: result.rowCount });
+    return result.rowCount;
+  }
+
   /**
    * 每日处理逻辑
    */
@@ -675,10 +1329,16 @@ END;
    */
   async regEndpoints(app) {
     // 用户注册
-    app.post('/user/register', async (req, res) => {
+    app.post('/user/register', { config: { rateLimit: { max: 10, window: 3600 } } }, async (req, res) => {
       try {
-        const { email, password, frm, info } = req.body;
-        const user = await this.createUser({ email, password, frm, info });
+        // 注册来源由服务端决定，客户端不能指定 frm
+        const { email, password, info } = req.body;
+        const user = await this.createUser({ email, password, info });
+        // 发送邮箱验证码，发送失败不影响注册
+        if (this.gl.mail) {
+          await this.sendEmailVerification({ uid: user.uid, lang: req.body.lang }).catch(error =>
+            this.gl.logger.error('发送邮箱验证码失败', { uid: user.uid, error: error.message }));
+        }
 
         return { result: user };
       } catch (error) {
@@ -690,15 +1350,28 @@ END;
     // 用户登录
     app.post('/user/login', async (req, res) => {
       try {
-        const { util } = this.gl
         const { OTT, email, password } = req.body;
-        const user = OTT ? await this.handleOTT({ OTT }) : await this.authenticateUser({ email, password });
+        let user;
+        if (OTT) {
+          user = await this.handleOTT({ OTT });
+        } else {
+          const key = this.gl.util.normalizeEmail(email);
+          const lock = await this.checkLoginLock({ email: key, ip: req.ip });
+          if (lock) {
+            res.header('retry-after', String(lock.retryAfter));
+            return { err: lock.err };
+          }
+          user = await this.authenticateUser({ email, password });
+          if (user) await this.clearLoginFailures(key);
+          else await this.recordLoginFailure({ email: key, req });
+        }
 
         if (!user) {
           return { err: 'invalid-email-or-password' };
         }
-        const token = await util.uidToToken({ uid: user.uid, create: Date.now(), expire: Date.now() + 1000 * 3600 * 24 * 30 })
-        util.setCookie({ req, res, name: `${this.pname}_ut`, value: token, days: 30, secure: true })
+        const challenge = await this.mfaChallenge(user);
+        if (challenge) return challenge;
+        await this.login({ req, res, user })
 
         return { result: user };
       } catch (error) {
@@ -706,32 +1379,113 @@ END;
         return { err: 'internal-server-error' };
       }
     });
-    app.get('/user/verifyCode', async (req, res) => {
-      const { util, mail } = this.gl
+    // 用解锁邮件中的令牌解除登录锁定
+    app.post('/user/login/unlock', { config: { rateLimit: { max: 20, window: 3600 } } }, async (req, res) => {
+      try {
+        const { token } = req.body || {};
+        if (!token) return { err: 'missing-token' };
+        return await this.unlockLogin(token) ? { result: 'ok' } : { err: 'invalid-or-expired-token' };
+      } catch (error) {
+        this.gl.logger.error('解除登录锁定失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    app.get('/user/verifyCode', { config: { rateLimit: { max: 30, window: 600 } } }, async (req, res) => {
+      const { mail } = this.gl
+      if (!mail) return { err: 'mail-not-enabled' }
       const { email, code } = req.query
       const result = await mail.verifyEmailCode({ email, code })
-      if (result.code === 0) {
-        const user = await this.ensureUser({ email, frm: 3 })
-        const token = await util.uidToToken({ uid: user.uid, create: Date.now(), expire: Date.now() + 3600 * 24 * 30 })
-        util.setCookie({ req, res, name: `${process.env.APP_NAME}_ut`, value: token, days: 30, secure: true })
-        return { result: user };
-      }
-      return { err: 'invalid-code' }
+      if (result.code !== 0) return { err: result.err }
+      const normalized = this.gl.util.normalizeEmail(email)
+      const { user, err } = await this.loginWithIdentity({ provider: 'email', subject: normalized, email: normalized, emailVerified: true, frm: USER_FROM.EMAIL })
+      if (err) return { err }
+      const challenge = await this.mfaChallenge(user)
+      if (challenge) return challenge
+      await this.login({ req, res, user })
+      return { result: user };
     })
-    // 获取用户信息
-    app.get('/user/info', async (req, res) => {
+
+    // 退出登录（吊销当前token）
+    app.post('/user/logout', async (req, res) => {
+      try {
+        const { util } = this.gl;
+        if (req.uid && req.token?.jti) {
+          await this.revokeSessions(req.uid, { id: req.token.jti });
+        } else if (req.token) {
+          await util.revokeToken(req.token);
+        }
+        util.clearCookie({ req, res, name: util.tokenCookieName });
+        return { result: 'ok' };
+      } catch (error) {
+        this.gl.logger.error('退出登录失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 当前用户的登录会话列表
+    app.get('/user/sessions', { config: { requireAuth: true } }, async (req, res) => {
       try {
         const uid = req.uid;
-        if (!uid) {
-          return { err: 'user-not-login' };
+        const sessions = await this.listSessions(uid);
+        const current = req.token?.jti;
+        return { result: sessions.map(s => ({ ...s, current: s.id === current })) };
+      } catch (error) {
+        this.gl.logger.error('获取会话列表失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 吊销指定会话
+    app.post('/user/sessions/revoke', { config: { requireAuth: true } }, async (req, res) => {
+      try {
+        const uid = req.uid;
+        const { id } = req.body || {};
+        if (!id) {
+          return { err: 'missing-id' };
         }
+        const count = await this.revokeSessions(uid, { id });
+        return count ? { result: 'ok' } : { err: 'session-not-found' };
+      } catch (error) {
+        this.gl.logger.error('吊销会话失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 吊销除当前会话外的所有会话
+    app.post('/user/sessions/revokeOthers', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
+      try {
+        const uid = req.uid;
+        const { util } = this.gl;
+        const count = await this.revokeSessions(uid, { except: req.token?.jti });
+        // 没有记录会话的旧token也一并失效，再给当前会话签发新token（有效期不超过原token）
+        await util.revokeAllTokens({ uid });
+        if (req.token) {
+          // 旧版本签发的token没有 expire，按默认有效期签发；至少保留1分钟
+          const { expire } = req.token;
+          const days = Number.isFinite(expire) ? Math.max(expire - Date.now(), 60000) / 86400000 : undefined;
+          await this.login({ req, res, user: { uid }, days });
+        }
+        if (req.token?.jti) await this.revokeSessions(uid, { id: req.token.jti });
+        return { result: { revoked: count } };
+      } catch (error) {
+        this.gl.logger.error('吊销其它会话失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+    // 获取用户信息
+    app.get('/user/info', { config: { requireAuth: true } }, async (req, res) => {
+      try {
+        const uid = req.uid;
         const { storage } = req.query
         const user = await this.getUser({ uid });
-        user.plan = await this.getPlan({ user })
+        if (!user) return { err: 'user-not-found' };
+        if (this.gl.subscription) user.plan = await this.gl.subscription.getPlan(uid);
         if (storage) {
           user.storage = await this.getStorage({ uid })
         }
-        return user ? { result: user } : { err: 'user-not-found' };
+        if (req.impersonator) user.impersonatedBy = req.impersonator
+        return { result: user };
       } catch (error) {
         this.gl.logger.error('获取用户信息失败', { error: error.message, uid: req.uid });
         return { err: 'internal-server-error' };
@@ -739,14 +1493,14 @@ END;
     });
 
     // 更新用户信息
-    app.post('/user/update', async (req, res) => {
+    app.post('/user/update', { config: { requireAuth: true } }, async (req, res) => {
       try {
         const uid = req.uid;
-        if (!uid) {
-          return { err: 'user-not-login' };
-        }
 
         const updateData = req.body;
+        if (updateData?.email !== undefined) {
+          return { err: 'use-email-change' };
+        }
         const user = await this.updateUser(uid, updateData);
 
         return { result: user };
@@ -757,12 +1511,9 @@ END;
     });
 
     // 更新用户密码
-    app.post('/user/password', async (req, res) => {
+    app.post('/user/password', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
       try {
         const uid = req.uid;
-        if (!uid) {
-          return { err: 'user-not-login' };
-        }
 
         const { oldPassword, newPassword } = req.body;
         await this.updatePassword(uid, oldPassword, newPassword);
@@ -774,13 +1525,137 @@ END;
       }
     });
 
+    // 找回密码：发送重置邮件。无论邮箱是否存在都返回成功，避免被用来探测邮箱
+    app.post('/user/password/forgot', async (req, res) => {
+      try {
+        const { mail } = this.gl;
+        if (!mail) return { err: 'mail-not-enabled' };
+        const email = this.gl.util.normalizeEmail(req.body?.email);
+        if (!mail.isValidEmail(email)) return { err: 'invalid-email' };
+        if (await mail.overLimit(`reset_1m_${email}`, 1, 60) ||
+          await mail.overLimit(`reset_1h_${email}`, 5, 3600) ||
+          await mail.overLimit(`reset_ip_1h_${req.ip}`, 30, 3600)) {
+          return { err: 'too-many-requests' };
+        }
+        const reset = await this.createPasswordReset({ email, ip: req.ip });
+        if (reset) {
+          const { user, token } = reset;
+          const url = process.env.PASSWORD_RESET_URL;
+          await mail.send({
+            to: user.email,
+            template: 'password_reset',
+            lang: await mail.getLang({ email, req }),
+            vars: {
+              link: url ? `${url}${url.includes('?') ? '&' : '?'}token=${token}` : token,
+              minutes: Math.round(this.resetTokenTTL / 60)
+            }
+          });
+        }
+        return { result: 'ok' };
+      } catch (error) {
+        this.gl.logger.error('发送密码重置邮件失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 找回密码：用邮件中的令牌设置新密码
+    app.post('/user/password/reset', async (req, res) => {
+      try {
+        const { token, password } = req.body || {};
+        if (!token || !password) return { err: 'missing-token-or-password' };
+        const uid = await this.resetPassword({ token, password, ip: req.ip });
+        if (!uid) return { err: 'invalid-or-expired-token' };
+        return { result: 'ok' };
+      } catch (error) {
+        this.gl.logger.error('重置密码失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 重新发送邮箱验证码
+    app.post('/user/email/sendVerification', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
+      try {
+        const { mail } = this.gl;
+        if (!mail) return { err: 'mail-not-enabled' };
+        if (await mail.overLimit(`verify_1m_${req.uid}`, 1, 60)) return { err: 'too-many-requests' };
+        const result = await this.sendEmailVerification({ uid: req.uid, lang: req.body?.lang });
+        return result.code === 0 ? { result: 'ok' } : { err: result.err };
+      } catch (error) {
+        this.gl.logger.error('发送邮箱验证码失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 验证邮箱
+    app.post('/user/email/verify', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
+      try {
+        if (!this.gl.mail) return { err: 'mail-not-enabled' };
+        const result = await this.verifyEmail({ uid: req.uid, code: req.body?.code });
+        return result.code === 0 ? { result: 'ok' } : { err: result.err };
+      } catch (error) {
+        this.gl.logger.error('验证邮箱失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 修改邮箱：向新邮箱发送验证码
+    app.post('/user/email/change', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
+      try {
+        const { mail } = this.gl;
+        if (!mail) return { err: 'mail-not-enabled' };
+        if (await mail.overLimit(`change_1m_${req.uid}`, 1, 60) ||
+          await mail.overLimit(`change_1h_${req.uid}`, 5, 3600)) {
+          return { err: 'too-many-requests' };
+        }
+        const { email, lang } = req.body || {};
+        const result = await this.requestEmailChange({ uid: req.uid, email, lang });
+        return result.code === 0 ? { result: 'ok' } : { err: result.err };
+      } catch (error) {
+        this.gl.logger.error('申请修改邮箱失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 修改邮箱：用新邮箱收到的验证码确认
+    app.post('/user/email/confirm', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
+      try {
+        if (!this.gl.mail) return { err: 'mail-not-enabled' };
+        const { code, lang } = req.body || {};
+        const result = await this.confirmEmailChange({ uid: req.uid, code, lang });
+        return result.code === 0 ? { result: result.user } : { err: result.err };
+      } catch (error) {
+        this.gl.logger.error('确认修改邮箱失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 已关联的第三方身份
+    app.get('/user/identities', { config: { requireAuth: true } }, async (req, res) => {
+      try {
+        return { result: await this.listIdentities(req.uid) };
+      } catch (error) {
+        this.gl.logger.error('获取第三方身份失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 取消关联第三方身份（关联见 /oauth/:provider/start?link=1）
+    app.post('/user/identities/unlink', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
+      try {
+        const { provider, subject } = req.body || {};
+        if (!provider || !subject) return { err: 'missing-provider-or-subject' };
+        const result = await this.unlinkIdentity({ uid: req.uid, provider, subject });
+        return result.code === 0 ? { result: 'ok' } : { err: result.err };
+      } catch (error) {
+        this.gl.logger.error('取消关联第三方身份失败', { error: error.message, uid: req.uid });
+        return { err: 'internal-server-error' };
+      }
+    });
+
     // 更新用户info属性
-    app.post('/user/info/update', async (req, res) => {
+    app.post('/user/info/update', { config: { requireAuth: true } }, async (req, res) => {
       try {
         const uid = req.uid;
-        if (!uid) {
-          return { err: 'user-not-login' };
-        }
 
         const infoUpdates = req.body;
         const user = await this.updateUserInfo(uid, infoUpdates);
@@ -793,12 +1668,9 @@ END;
     });
 
     // 删除用户
-    app.delete('/user/delete', async (req, res) => {
+    app.delete('/user/delete', { config: { requireAuth: true, denyImpersonation: true } }, async (req, res) => {
       try {
         const uid = req.uid;
-        if (!uid) {
-          return { err: 'user-not-login' };
-        }
         await this.deleteUser(uid);
 
         return { result: '用户删除成功' };
@@ -809,8 +1681,8 @@ END;
     });
 
 
-    // 获取其他用户信息（邮箱和头像）
-    app.get('/user/otherUserInfo', async (req, res) => {
+    // 获取其他用户信息（头像；有 users.read 权限时返回邮箱）
+    app.get('/user/otherUserInfo', { config: { requireAuth: true } }, async (req, res) => {
       try {
         const { uids } = req.query;
         if (!uids) {
@@ -820,7 +1692,7 @@ END;
         const { db } = this.gl;
 
         // 解析用户ID字符串，支持逗号分隔的多个ID
-        const userIds = uids.toString().split(',').map(uid => uid.trim()).filter(uid => uid);
+        const userIds = uids.toString().split(',').map(uid => uid.trim()).filter(uid => /^\d+$/.test(uid));
 
         if (userIds.length === 0) {
           return { err: 'invalid-uids-parameter' };
@@ -835,14 +1707,15 @@ END;
         `;
 
         const result = await db.query(query, userIds);
+        const canReadEmail = await this.hasPermission(req.uid, 'users.read');
 
         // 构建结果对象，以uid为key
         const userInfoMap = {};
         result.rows.forEach(row => {
           userInfoMap[row.uid] = {
-            email: row.email,
             avatar: row.avatar || null
           };
+          if (canReadEmail) userInfoMap[row.uid].email = row.email;
         });
 
         return { result: userInfoMap };
@@ -852,7 +1725,7 @@ END;
       }
     });
     // 每日处理逻辑
-    app.get('/user/dailyProcess', async (req, res) => {
+    app.get('/user/dailyProcess', { config: { requireRole: 'admin' } }, async (req, res) => {
       try {
         await this.dailyProcess();
         return { result: '每日处理逻辑执行成功' };
@@ -0,0 +1,211 @@
+import { BaseService } from './common/baseService.js';
+import crypto from 'crypto';
+import { verifySignature } from './common/signature.js';
+
+const SOURCE = 'commonapi';
+
+export class Webhook extends BaseService {
+  // 支付渠道的通知使用 gl.pay.provider（收到请求时才读取，pay 模块依赖本模块）
+  static deps = ['db', 'events'];
+
+  /**
+   * 初始化 webhook 接收服务
+   * COMMONAPI_WEBHOOK_SECRET：签名密钥，逗号分隔多个（轮换时新旧同时有效）
+   * @param {Object} gl - 全局对象
+   * @returns {Promise<string|null>} 错误信息或null
+   */
+  async init(gl) {
+    const { logger } = gl;
+    this.secrets = (process.env.COMMONAPI_WEBHOOK_SECRET || '').split(',').map(s => s.trim()).filter(Boolean);
+    this.tolerance = parseInt(process.env.WEBHOOK_TOLERANCE) || 300; // 时间戳允许的误差（秒）
+    if (!this.secrets.length) {
+      if (process.env.NODE_ENV === 'production') return '未配置 COMMONAPI_WEBHOOK_SECRET';
+      logger.warn('未配置 COMMONAPI_WEBHOOK_SECRET，/notify/_commonapi 将拒绝所有请求');
+    }
+    return null;
+  }
+
+  /**
+   * 校验签名：x-commonapi-signature = hex(HMAC-SHA256(secret, `${timestamp}.${rawBody}`))
+   * @param {Object} params - { rawBody: Buffer, timestamp, signature }
+   * @returns {string|null} 错误码，校验通过时返回null
+   */
+  verifySignature({ rawBody, timestamp, signature }) {
+    return verifySignature({ secrets: this.secrets, rawBody, timestamp, signatures: signature, tolerance: this.tolerance });
+  }
+
+  /**
+   * 保存事件（同一来源的同一个事件ID只保存一次）并处理
+   * @param {Object} params - { source, eventId, body }，body 为 { id, event, data }
+   * @returns {Promise<Object>} { status, duplicate }
+   */
+  async receive({ source = SOURCE, eventId, body }) {
+    const { db } = this.gl;
+    const inserted = await db.upsert('webhook_inbox', {
+      source,
+      event_id: eventId,
+      event: body.event || null,
+      payload: body
+    }, ['source', 'event_id'], { update: [] });
+    const row = inserted || await db.findOne(
+      'SELECT * FROM webhook_inbox WHERE source = $1 AND event_id = $2',
+      [source, eventId]
+    );
+    return this.process(row.id, { duplicate: !inserted });
+  }
+
+  /**
+   * 保存并处理事件，返回给对方的响应（处理失败时返回 500 让对方重试）
+   */
+  async accept(res, { source, eventId, body }) {
+    try {
+      const { status, duplicate } = await this.receive({ source, eventId, body });
+      if (status === 'failed') {
+        res.code(500);
+        return { err: 'processing-failed' };
+      }
+      // 另一个请求正在处理，让对方稍后重试（处理中断时重试会重新抢占）
+      if (status === 'processing') {
+        res.code(409);
+        return { err: 'processing' };
+      }
+      return { result: status, duplicate };
+    } catch (error) {
+      this.gl.logger.error('webhook 保存失败', { source, error: error.message });
+      res.code(500);
+      return { err: 'internal-server-error' };
+    }
+  }
+
+  /**
+   * 处理一条 inbox 记录：把事件发布到事件总线（gl.events），由订阅者处理
+   * 已处理的记录不会重复处理；失败的记录可以再次处理（对方重试或手动重放）
+   * processing 状态超过 processing_until 的视为进程中断，可以重新抢占
+   * @param {number} id - webhook_inbox.id
+   * @param {Object} options
+   * @param {boolean} options.duplicate - 是否为重复收到的事件
+   * @param {boolean} options.replay - 手动重放，允许处理 unhandled 记录
+   * @returns {Promise<Object>} { status, duplicate }
+   */
+  async process(id, { duplicate = false, replay = false } = {}) {
+    const { db, events, logger } = this.gl;
+    const from = replay ? ['received', 'failed', 'unhandled'] : ['received', 'failed'];
+    // 抢占记录，防止同一事件并发处理
+    const row = await db.findOne(
+      `UPDATE webhook_inbox SET status = 'processing', attempts = attempts + 1, processing_until = NOW() + interval '5 minutes'
+       WHERE id = $1 AND (status = ANY($2) OR (status = 'processing' AND processing_until < NOW())) RETURNING *`,
+      [id, from]
+    );
+    if (!row) {
+      const current = await db.findOne('SELECT status FROM webhook_inbox WHERE id = $1', [id]);
+      return { status: current?.status || 'not-found', duplicate };
+    }
+    if (!row.event || !events.hasSubscribers(row.event)) {
+      await db.update('webhook_inbox', { status: 'unhandled', processing_until: null }, { id });
+      logger.warn('未知的 webhook 事件', { id, event: row.event });
+      return { status: 'unhandled', duplicate };
+    }
+    try {
+      // 以 inbox 记录作为幂等键，重放时不会重复发布
+      const result = await events.publish(row.event, row.payload.data || {}, { key: `${row.source}:${row.event_id}` });
+      await db.update('webhook_inbox', { status: 'processed', error: null, processed_at: new Date(), processing_until: null }, { id });
+      logger.info('webhook 事件已发布', { id, event: row.event, ...result });
+      return { status: 'processed', duplicate };
+    } catch (error) {
+      await db.update('webhook_inbox', { status: 'failed', error: error.message, processing_until: null }, { id });
+      logger.error('webhook 事件处理失败', { id, event: row.event, error: error.message });
+      return { status: 'failed', duplicate };
+    }
+  }
+
+  /**
+   * 注册 webhook 相关的API端点
+   * @param {Object} app - Fastify应用实例
+   */
+  async regEndpoints(app) {
+    // 签名需要原始请求体，只在这个子作用域内替换 JSON 解析器
+    await app.register(async instance => {
+      instance.addContentTypeParser('application/json', { parseAs: 'buffer' }, (req, body, done) => {
+        req.rawBody = body;
+        try {
+          done(null, body.length ? JSON.parse(body.toString()) : {});
+        } catch (error) {
+          error.statusCode = 400;
+          done(error);
+        }
+      });
+
+      instance.post('/notify/_commonapi', async (req, res) => {
+        const err = this.verifySignature({
+          rawBody: req.rawBody || Buffer.alloc(0),
+          timestamp: req.headers['x-commonapi-timestamp'],
+          signature: req.headers['x-commonapi-signature']
+        });
+        if (err) {
+          this.gl.logger.warn('webhook 签名校验失败', { err, ip: req.ip });
+          res.code(401);
+          return { err };
+        }
+        const body = req.body || {};
+        // 没有事件ID时用请求体的哈希，对方原样重试时仍能去重
+        const eventId = String(body.id || req.headers['x-commonapi-event-id'] ||
+          crypto.createHash('sha256').update(req.rawBody).digest('hex'));
+        return this.accept(res, { source: SOURCE, eventId, body });
+      });
+
+      // 支付渠道的通知（gl.pay.provider），由渠道的 parseWebhook 校验签名并转换为统一的支付事件
+      instance.post('/notify/pay/:provider', async (req, res) => {
+        const provider = this.gl.pay?.provider;
+        if (!provider || provider.name !== req.params.provider) {
+          res.code(404);
+          return { err: 'unknown-provider' };
+        }
+        let parsed;
+        try {
+          parsed = await provider.parseWebhook({ headers: req.headers, rawBody: req.rawBody || Buffer.alloc(0) });
+        } catch (error) {
+          this.gl.logger.error('解析支付通知失败', { provider: provider.name, error: error.message });
+          res.code(400);
+          return { err: 'invalid-payload' };
+        }
+        if (parsed?.err) {
+          this.gl.logger.warn('支付通知签名校验失败', { provider: provider.name, err: parsed.err, ip: req.ip });
+          res.code(401);
+          return { err: parsed.err };
+        }
+        // 不关心的事件直接确认
+        if (!parsed?.event) return { result: 'ignored' };
+        return this.accept(res, { source: provider.name, eventId: String(parsed.id), body: parsed });
+      });
+    });
+
+    // 查看收到的事件
+    app.get('/admin/webhooks', { config: { requireRole: 'admin' } }, async (req, res) => {
+      try {
+        const { source, status, event, limit = 50 } = req.query;
+        const where = {};
+        if (source) where.source = source;
+        if (status) where.status = status.split(',');
+        if (event) where.event = event;
+        const rows = await this.gl.db.findWhere('webhook_inbox', where, { orderBy: { id: 'desc' }, limit: Math.min(parseInt(limit) || 50, 200) });
+        return { result: rows };
+      } catch (error) {
+        this.gl.logger.error('获取webhook列表失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+
+    // 重放事件（处理失败或未知事件在修复后重新处理）
+    app.post('/admin/webhooks/replay', { config: { requireRole: 'admin' } }, async (req, res) => {
+      try {
+        const { id } = req.body || {};
+        if (!id) return { err: 'missing-id' };
+        this.gl.logger.info('重放webhook事件', { id, uid: req.uid });
+        return { result: await this.process(id, { replay: true }) };
+      } catch (error) {
+        this.gl.logger.error('重放webhook失败', { error: error.message });
+        return { err: 'internal-server-error' };
+      }
+    });
+  }
+}